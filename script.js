@@ -7,21 +7,26 @@ class APIClient {
   
   static async request(endpoint, options = {}) {
     let lastError;
+    const { authToken = AuthManager.getSessionToken(), ...fetchOptions } = options;
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
         const response = await fetch(`${this.baseURL}/api${endpoint}`, {
+          timeout: 10000,
+          ...fetchOptions,
           headers: {
             'Content-Type': 'application/json',
             'X-Client-Timestamp': new Date().toISOString(),
-            ...options.headers
-          },
-          timeout: 10000,
-          ...options
+            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+            ...fetchOptions.headers
+          }
         });
         
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+          httpError.status = response.status;
+          httpError.data = await response.json().catch(() => null);
+          throw httpError;
         }
         
         const data = await response.json();
@@ -34,6 +39,11 @@ class APIClient {
       } catch (error) {
         lastError = error;
         console.warn(`API attempt ${attempt}/${this.maxRetries} failed:`, error.message);
+
+        // Los errores del cliente (4xx) no se resuelven reintentando
+        if (error.status >= 400 && error.status < 500) {
+          break;
+        }
         
         if (attempt < this.maxRetries) {
           await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
@@ -45,26 +55,29 @@ class APIClient {
     throw lastError;
   }
   
-  static async get(endpoint) {
-    return this.request(endpoint);
+  static async get(endpoint, options = {}) {
+    return this.request(endpoint, options);
   }
   
-  static async post(endpoint, data) {
+  static async post(endpoint, data, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: 'POST',
       body: JSON.stringify(data)
     });
   }
   
-  static async put(endpoint, data) {
+  static async put(endpoint, data, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: 'PUT',
       body: JSON.stringify(data)
     });
   }
   
-  static async delete(endpoint) {
+  static async delete(endpoint, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: 'DELETE'
     });
   }
@@ -75,8 +88,18 @@ class GlobalSyncManager {
   static syncInterval = null;
   static lastSyncTime = null;
   static isSyncing = false;
+  static syncAgain = false;
   static isOnline = navigator.onLine;
   static region = 'unknown';
+  static collections = ['eventos', 'tatuadores', 'piezas', 'jurados', 'evaluaciones', 'votos'];
+  // Al eliminar en el servidor se eliminan también los registros dependientes
+  static cascadeFields = {
+    tatuadores: [['piezas', 'tatuadorId'], ['evaluaciones', 'tatuadorId'], ['votos', 'tatuadorId']],
+    piezas: [['evaluaciones', 'piezaId'], ['votos', 'piezaId']],
+    jurados: [['evaluaciones', 'juradoId']]
+  };
+  static listenersConfigured = false;
+  static conflicts = GlobalSyncManager.loadConflicts();
   
   static async initialize() {
     try {
@@ -86,12 +109,17 @@ class GlobalSyncManager {
       
       console.log(`🌐 Conexión global establecida - Región: ${this.region}`);
       console.log(`📊 Servidor: ${healthCheck.deployment} - ${healthCheck.timestamp}`);
+      this.isOnline = true;
       
+      // Reenviar cambios guardados sin conexión antes de traer los del servidor
+      await OfflineQueue.flush();
+
       // Sincronizar datos iniciales
       await this.syncFromServer();
       
-      // Configurar sincronización automática
+      // Configurar sincronización automática y canal en tiempo real
       this.startAutoSync();
+      RealtimeChannel.connect();
       
       // Configurar listeners de conectividad
       this.setupConnectivityListeners();
@@ -100,11 +128,15 @@ class GlobalSyncManager {
     } catch (error) {
       console.warn('⚠️ Modo offline - usando datos locales');
       this.setupOfflineMode();
+      this.setupConnectivityListeners();
       return false;
     }
   }
   
   static setupConnectivityListeners() {
+    if (this.listenersConfigured) return;
+    this.listenersConfigured = true;
+
     window.addEventListener('online', () => {
       console.log('🌐 Conexión restaurada - reiniciando sincronización');
       this.isOnline = true;
@@ -115,11 +147,13 @@ class GlobalSyncManager {
       console.log('📱 Modo offline activado');
       this.isOnline = false;
       this.stopAutoSync();
+      RealtimeChannel.disconnect();
     });
   }
   
   static setupOfflineMode() {
     this.isOnline = false;
+    OfflineQueue.updateBadge();
     // Intentar reconectar cada 30 segundos
     setTimeout(() => {
       if (!this.isOnline) {
@@ -150,21 +184,30 @@ class GlobalSyncManager {
   }
   
   static async syncFromServer() {
-    if (this.isSyncing) return;
+    // Una sincronización pedida mientras otra está en curso se repite al terminar
+    if (this.isSyncing) {
+      this.syncAgain = true;
+      return;
+    }
     
     try {
       this.isSyncing = true;
       const serverData = await APIClient.get('/data');
       
       if (serverData && window.app) {
-        // Actualizar datos en la aplicación
-        window.app.tatuadores = serverData.tatuadores || [];
-        window.app.jurados = serverData.jurados || [];
-        window.app.evaluaciones = serverData.evaluaciones || [];
-        
-        // Actualizar credenciales del sistema
-        if (serverData.systemCredentials) {
-          localStorage.setItem('systemCredentials', JSON.stringify(serverData.systemCredentials));
+        // Fusionar con los datos locales sin perder cambios aún no sincronizados
+        const conflictsBefore = this.conflicts.length;
+        this.collections.forEach(collection => {
+          window.app[collection] = this.mergeCollection(
+            collection,
+            window.app[collection] || [],
+            serverData[collection] || []
+          );
+        });
+        window.app.saveLocalData();
+
+        if (this.conflicts.length > conflictsBefore && AuthManager.isLoggedIn('administracion')) {
+          Utils.showNotification(`Se detectaron ${this.conflicts.length - conflictsBefore} conflicto(s) de sincronización. Revísalos en Evaluaciones.`, 'warning', 8000);
         }
         
         // Actualizar interfaz si es necesario
@@ -177,19 +220,564 @@ class GlobalSyncManager {
       console.warn('Error sincronizando desde servidor:', error);
     } finally {
       this.isSyncing = false;
+      if (this.syncAgain) {
+        this.syncAgain = false;
+        this.syncFromServer();
+      }
     }
   }
   
-  static async syncToServer(data) {
-    try {
-      await APIClient.post('/data', data);
+  // Enviar un único cambio: { action: 'create'|'update'|'delete'|'replace', collection, id, record, data }
+  // Lanza el error de APIClient para que OfflineQueue decida si reintentar
+  static async sendMutation(mutation, authToken = AuthManager.getSessionToken(), queueId = null) {
+    const { action, collection, id, record } = mutation;
+    // El servidor devuelve `queueId` en el eco de /api/events para reconocerlo como propio
+    const options = { authToken, headers: queueId ? { 'X-Queue-Id': queueId } : {} };
+
+    if (action === 'replace') {
+      const data = { ...mutation.data };
+      this.collections.forEach(name => {
+        data[name] = (data[name] || []).map(r => this.toServerRecord(r));
+      });
+      await APIClient.post('/data', data, options);
       console.log('✅ Datos sincronizados al servidor');
+      return;
+    }
+
+    const recordId = id || record.id;
+    const endpoint = `/${collection}/${encodeURIComponent(recordId)}`;
+
+    if (action === 'create') {
+      this.acknowledge(collection, await APIClient.post(`/${collection}`, this.toServerRecord(record), options));
+    } else if (action === 'update') {
+      this.acknowledge(collection, await APIClient.put(endpoint, this.toServerRecord(record), options));
+    } else if (action === 'delete') {
+      await APIClient.delete(endpoint, options);
+    }
+    console.log(`✅ Cambio sincronizado: ${action} ${collection}/${recordId}`);
+  }
+
+  static async syncMutation(mutation) {
+    try {
+      await this.sendMutation(mutation);
       return true;
     } catch (error) {
-      console.warn('Error sincronizando al servidor:', error);
+      this.handleRejectedMutation(mutation, error);
+      console.warn('Error sincronizando cambio al servidor:', error);
       return false;
     }
   }
+
+  // Aplicar un cambio recibido por RealtimeChannel con las mismas reglas que mergeCollection
+  static applyRemoteChange(change) {
+    if (!window.app) return;
+
+    if (change.action === 'replace') {
+      this.syncFromServer();
+      return;
+    }
+
+    const { action, collection } = change;
+    const records = window.app[collection];
+    if (!records) return;
+
+    const recordId = action === 'delete' ? change.id : change.record.id;
+    const index = records.findIndex(r => r.id === recordId);
+    const local = index !== -1 ? records[index] : null;
+
+    // Eco de un cambio de este dispositivo que aún espera la respuesta del servidor: es su confirmación,
+    // no un conflicto, aunque el servidor haya completado campos (evaluadoPor, versión, URLs de fotos)
+    if (change.queueId && OfflineQueue.entries.some(entry => entry.queueId === change.queueId)) {
+      if (action !== 'delete') {
+        this.acknowledge(collection, change.record);
+      }
+      window.app.handleRemoteChange(collection);
+      return;
+    }
+
+    // Al publicar, revelar o retirar una categoría cambian las evaluaciones que el servidor deja ver
+    const embargo = evento => JSON.stringify([evento.publicacion || {}, evento.revelacion || {}]);
+    if (collection === 'eventos' && local && action === 'update' && embargo(local) !== embargo(change.record)) {
+      this.syncFromServer();
+    }
+
+    if (local && local.pendingSync) {
+      if (action === 'delete' && local.version) {
+        this.registerConflict(collection, local, null);
+      } else if (action !== 'delete' &&
+        (change.record.version || 0) > (local.version || 0) &&
+        this.hasChanges(local, change.record)) {
+        this.registerConflict(collection, local, change.record);
+      }
+    } else if (action === 'delete') {
+      if (index !== -1) records.splice(index, 1);
+
+      (this.cascadeFields[collection] || []).forEach(([dependiente, field]) => {
+        window.app[dependiente] = window.app[dependiente].filter(r => r[field] !== recordId);
+      });
+    } else if (!OfflineQueue.hasPending(collection, recordId, 'delete')) {
+      if (index !== -1) {
+        records[index] = change.record;
+      } else {
+        records.push(change.record);
+      }
+    }
+
+    window.app.saveLocalData();
+    window.app.handleRemoteChange(collection);
+  }
+
+  static handleRejectedMutation(mutation, error) {
+    if (!(error.status >= 400 && error.status < 500) || error.status === 401) return;
+
+    if (error.status === 409 && error.data && error.data.record) {
+      const { collection, record } = mutation;
+      const local = (window.app[collection] || []).find(r => r.id === record.id) || record;
+      this.registerConflict(collection, local, error.data.record);
+      Utils.showNotification('Este registro fue modificado en otro dispositivo. El administrador debe resolver el conflicto.', 'warning', 8000);
+      return;
+    }
+
+    // Cualquier otro rechazo es definitivo: el cambio no se reintenta y el registro vuelve
+    // a la copia del servidor para que no siga contando como pendiente en este dispositivo
+    this.rollback(mutation);
+    Utils.showNotification(`El servidor rechazó el cambio: ${AuthManager.describeError(error, 'cambio no válido')}. Se ha restaurado la copia del servidor.`, 'error', 8000);
+  }
+
+  // Sin la marca de pendiente, la siguiente sincronización adopta la copia del servidor
+  // (o elimina el registro si el servidor no lo tiene, o lo recupera si se había eliminado aquí)
+  static rollback(mutation) {
+    const records = window.app && window.app[mutation.collection];
+    const recordId = OfflineQueue.recordIdOf(mutation);
+    if (records && recordId && !OfflineQueue.hasPending(mutation.collection, recordId)) {
+      const local = records.find(r => r.id === recordId);
+      if (local) delete local.pendingSync;
+    }
+    this.syncFromServer();
+  }
+
+  // Campos internos del cliente que no se envían al servidor
+  static toServerRecord(record) {
+    const { pendingSync, ...serverRecord } = record;
+    return serverRecord;
+  }
+
+  // Sustituir la copia local por la confirmada por el servidor (con su versión).
+  // Si quedan más cambios en cola para el registro, solo se adopta la nueva versión.
+  static acknowledge(collection, serverRecord) {
+    const records = window.app && window.app[collection];
+    if (!records || !serverRecord || !serverRecord.id) return;
+
+    OfflineQueue.rebase(collection, serverRecord);
+
+    const index = records.findIndex(r => r.id === serverRecord.id);
+    if (index !== -1) {
+      records[index] = OfflineQueue.hasQueuedChanges(collection, serverRecord.id)
+        ? { ...records[index], version: serverRecord.version, updatedAt: serverRecord.updatedAt }
+        : serverRecord;
+      window.app.saveLocalData();
+    }
+  }
+
+  static hasChanges(local, server) {
+    return JSON.stringify(this.toServerRecord({ ...local, version: 0, updatedAt: null })) !==
+      JSON.stringify(this.toServerRecord({ ...server, version: 0, updatedAt: null }));
+  }
+
+  // Fusión por registro:
+  // - sin cambios locales pendientes, manda la copia del servidor
+  // - con cambios pendientes y el servidor sin versiones nuevas, se conserva la local
+  // - con cambios pendientes y una versión nueva en el servidor, hay conflicto
+  static mergeCollection(collection, localRecords, serverRecords) {
+    const localById = new Map(localRecords.map(r => [r.id, r]));
+    const serverIds = new Set();
+    const merged = [];
+
+    serverRecords.forEach(serverRecord => {
+      serverIds.add(serverRecord.id);
+      if (OfflineQueue.hasPending(collection, serverRecord.id, 'delete')) return;
+
+      const local = localById.get(serverRecord.id);
+      if (!local || !local.pendingSync) {
+        merged.push(serverRecord);
+        return;
+      }
+
+      if ((serverRecord.version || 0) > (local.version || 0) && this.hasChanges(local, serverRecord)) {
+        this.registerConflict(collection, local, serverRecord);
+      }
+      merged.push(local);
+    });
+
+    localRecords.forEach(local => {
+      if (serverIds.has(local.id) || !local.pendingSync) return;
+
+      // Un registro ya sincronizado alguna vez que no está en el servidor fue eliminado allí
+      if (local.version) {
+        this.registerConflict(collection, local, null);
+      }
+      merged.push(local);
+    });
+
+    return merged;
+  }
+
+  static loadConflicts() {
+    try {
+      return JSON.parse(localStorage.getItem('tattooRatingConflicts') || '[]');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static saveConflicts() {
+    localStorage.setItem('tattooRatingConflicts', JSON.stringify(this.conflicts));
+  }
+
+  static registerConflict(collection, local, server) {
+    this.conflicts = this.conflicts.filter(c => !(c.collection === collection && c.recordId === local.id));
+    this.conflicts.push({
+      id: Utils.generateId(),
+      collection,
+      recordId: local.id,
+      local,
+      server,
+      detectedAt: new Date().toISOString()
+    });
+    this.saveConflicts();
+    console.warn(`⚠️ Conflicto de sincronización en ${collection}/${local.id}`);
+  }
+
+  // Resolver un conflicto conservando la copia local o la del servidor
+  static async resolveConflict(conflictId, keep) {
+    const conflict = this.conflicts.find(c => c.id === conflictId);
+    if (!conflict || !window.app) return false;
+
+    const { collection, recordId, local, server } = conflict;
+    const records = window.app[collection];
+    const index = records.findIndex(r => r.id === recordId);
+
+    if (keep === 'server') {
+      if (server && index !== -1) {
+        records[index] = server;
+      } else if (server) {
+        records.push(server);
+      } else if (index !== -1) {
+        records.splice(index, 1);
+      }
+      window.app.saveLocalData();
+    } else {
+      // La copia local pasa a basarse en la versión del servidor para sobrescribirla
+      const mutation = server
+        ? { action: 'update', collection, record: { ...local, version: server.version, pendingSync: true } }
+        : { action: 'create', collection, record: { ...local, version: 0, pendingSync: true } };
+
+      if (index !== -1) {
+        records[index] = mutation.record;
+      } else {
+        records.push(mutation.record);
+      }
+
+      OfflineQueue.enqueue(mutation);
+      await OfflineQueue.flush();
+      if (OfflineQueue.hasPending(collection, recordId)) return false;
+    }
+
+    this.conflicts = this.conflicts.filter(c => c.id !== conflictId);
+    this.saveConflicts();
+    return true;
+  }
+}
+
+// Cola persistente de cambios pendientes de enviar al servidor.
+// Se reenvía en orden al recuperar la conexión; un fallo de red detiene el envío
+// y conserva la cola, un rechazo del servidor (4xx) descarta solo ese cambio y
+// restaura la copia del servidor (o registra un conflicto si es de versión).
+class OfflineQueue {
+  static storageKey = 'tattooRatingOutbox';
+  static entries = OfflineQueue.load();
+  static flushing = null;
+  static inFlight = null;
+  // Cambios descartados por un rechazo del servidor en esta sesión de la página
+  static rejected = new Set();
+  static storageFull = false;
+
+  // Las colas guardadas por versiones anteriores incluían el token de la sesión: se descarta
+  static load() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      if (entries.some(entry => 'authToken' in entry)) {
+        entries.forEach(entry => delete entry.authToken);
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+      }
+      return entries;
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+      this.storageFull = false;
+    } catch (error) {
+      if (!Utils.isQuotaExceeded(error)) throw error;
+      // La cola sigue en memoria y se envía al reconectar, pero no sobrevive a una recarga.
+      // Se avisa una vez mientras el almacenamiento siga lleno
+      console.warn('⚠️ Almacenamiento local lleno: la cola de cambios no se ha podido guardar');
+      if (!this.storageFull) Utils.showNotification('El almacenamiento del dispositivo está lleno. Los cambios pendientes se enviarán al recuperar la conexión, pero se perderán si cierras o recargas la página antes.', 'error', 10000);
+      this.storageFull = true;
+    }
+    this.updateBadge();
+  }
+
+  static get size() {
+    return this.entries.length;
+  }
+
+  // Espacio que ocupa la cola en localStorage, en caracteres
+  static get storedSize() {
+    return JSON.stringify(this.entries).length;
+  }
+
+  // La copia local de los datos no repite las fotos aún sin subir (data URL), que ya viajan
+  // en la cola: guarda solo su referencia y las recupera de la cola al cargar
+  static sinFotosPendientes(pieza) {
+    if (!(pieza.fotos || []).some(foto => Utils.isDataURL(foto.url))) return pieza;
+    return { ...pieza, fotos: pieza.fotos.map(foto => Utils.isDataURL(foto.url) ? { ...foto, url: null } : foto) };
+  }
+
+  static conFotosPendientes(pieza) {
+    if (!(pieza.fotos || []).some(foto => !foto.url)) return pieza;
+    const fotos = pieza.fotos
+      .map(foto => foto.url ? foto : { ...foto, url: this.fotoPendiente(foto.id) })
+      .filter(foto => foto.url);
+    return { ...pieza, fotos };
+  }
+
+  static fotoPendiente(fotoId) {
+    for (const { mutation } of [...this.entries].reverse()) {
+      const foto = ((mutation.record && mutation.record.fotos) || []).find(f => f.id === fotoId);
+      if (foto && Utils.isDataURL(foto.url)) return foto.url;
+    }
+    return null;
+  }
+
+  static enqueue(mutation) {
+    const session = AuthManager.hasValidSession(AuthManager.session) ? AuthManager.session : null;
+    const entry = {
+      queueId: Utils.generateId(),
+      // Copia del cambio en el momento de guardarlo
+      mutation: JSON.parse(JSON.stringify(mutation)),
+      // Usuario que hizo el cambio. El token no se guarda en localStorage: al reenviarlo se usa
+      // la sesión vigente, y solo si es del mismo usuario
+      userId: session ? session.id : null,
+      username: session ? session.username : null,
+      enqueuedAt: new Date().toISOString(),
+      attempts: 0
+    };
+    this.entries.push(entry);
+    this.save();
+    return entry.queueId;
+  }
+
+  static clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  static recordIdOf(mutation) {
+    return mutation.id || (mutation.record && mutation.record.id);
+  }
+
+  static hasPending(collection, recordId, action = null) {
+    return this.entries.some(({ mutation }) =>
+      mutation.collection === collection &&
+      this.recordIdOf(mutation) === recordId &&
+      (!action || mutation.action === action)
+    );
+  }
+
+  // Cambios en cola además del que se está enviando en este momento
+  static hasQueuedChanges(collection, recordId) {
+    return this.entries.some(entry =>
+      entry !== this.inFlight &&
+      entry.mutation.collection === collection &&
+      this.recordIdOf(entry.mutation) === recordId
+    );
+  }
+
+  // Los cambios en cola posteriores se basan en la versión recién confirmada
+  static rebase(collection, serverRecord) {
+    let changed = false;
+    this.entries.forEach(({ mutation }) => {
+      if (mutation.collection === collection && mutation.record && mutation.record.id === serverRecord.id) {
+        mutation.record.version = serverRecord.version;
+        changed = true;
+      }
+    });
+    if (changed) this.save();
+  }
+
+  static flush() {
+    if (!this.flushing) {
+      this.flushing = this.replay().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  // Token con el que se reenvía un cambio: el de la sesión vigente si es del usuario que lo hizo.
+  // Los cambios sin usuario (el voto del público) se envían sin sesión; los de otro usuario, o
+  // de una sesión ya cerrada, devuelven undefined y esperan a que ese usuario vuelva a entrar
+  static tokenFor(entry) {
+    if (!entry.userId) return null;
+    const session = AuthManager.hasValidSession(AuthManager.session) ? AuthManager.session : null;
+    return session && session.id === entry.userId ? session.token : undefined;
+  }
+
+  static async replay() {
+    let sent = 0;
+    // Usuarios sin sesión vigente: sus cambios esperan a que vuelvan a iniciar sesión
+    // y, mientras, se envían los del resto que no dependan de ellos (mismo registro)
+    const retenidos = new Set();
+    const registrosRetenidos = new Set();
+    let index = 0;
+
+    while (index < this.entries.length) {
+      const entry = this.entries[index];
+      const { action, collection } = entry.mutation;
+      // Un reemplazo completo retenido afecta a todos los registros posteriores
+      const registro = action === 'replace' ? 'replace' : `${collection}/${this.recordIdOf(entry.mutation)}`;
+      const authToken = this.tokenFor(entry);
+      if (authToken === undefined) {
+        retenidos.add(entry.userId);
+      }
+      if (retenidos.has(entry.userId) || registrosRetenidos.has(registro) || registrosRetenidos.has('replace')) {
+        registrosRetenidos.add(registro);
+        index++;
+        continue;
+      }
+      entry.attempts++;
+      this.inFlight = entry;
+
+      try {
+        await GlobalSyncManager.sendMutation(entry.mutation, authToken, entry.queueId);
+        sent++;
+      } catch (error) {
+        this.inFlight = null;
+
+        // Sesión caducada o revocada en el servidor: se espera a que el usuario vuelva a entrar
+        if (error.status === 401) {
+          retenidos.add(entry.userId);
+          registrosRetenidos.add(registro);
+          this.save();
+          console.log(`🔒 Cambios de ${entry.username || 'una sesión anterior'} a la espera de que vuelva a iniciar sesión`);
+          index++;
+          continue;
+        }
+
+        if (!(error.status >= 400 && error.status < 500)) {
+          // Sin conexión o error del servidor: se conserva la cola para el próximo intento
+          this.save();
+          console.log(`📱 ${this.entries.length} cambio(s) pendiente(s) de sincronizar`);
+          return sent;
+        }
+        // Se retira de la cola antes de restaurar el registro, que ya no tiene cambios pendientes
+        this.entries.splice(index, 1);
+        this.rejected.add(entry.queueId);
+        this.save();
+        console.warn('Cambio rechazado por el servidor, se descarta:', entry.mutation, error.message);
+        GlobalSyncManager.handleRejectedMutation(entry.mutation, error);
+        continue;
+      }
+
+      this.inFlight = null;
+      this.entries.splice(index, 1);
+      this.save();
+    }
+
+    if (sent > 0 && window.app) {
+      window.app.saveLocalData();
+    }
+    return sent;
+  }
+
+  static updateBadge() {
+    const badge = document.getElementById('syncStatus');
+    const count = document.getElementById('syncPendingCount');
+    if (!badge || !count) return;
+
+    count.textContent = this.entries.length;
+    badge.classList.toggle('hidden', this.entries.length === 0);
+    badge.classList.toggle('offline', !GlobalSyncManager.isOnline);
+    badge.title = GlobalSyncManager.isOnline
+      ? `${this.entries.length} cambio(s) pendiente(s) de sincronizar`
+      : `Sin conexión - ${this.entries.length} cambio(s) guardado(s) en este dispositivo`;
+  }
+}
+
+// Canal de actualizaciones en tiempo real (Server-Sent Events).
+// Mientras está conectado sustituye al sondeo periódico de GlobalSyncManager;
+// si se cae, se reanuda el sondeo hasta que EventSource reconecta.
+class RealtimeChannel {
+  static source = null;
+  static connected = false;
+  static hasConnected = false;
+
+  static connect() {
+    if (this.source || typeof EventSource === 'undefined') return;
+
+    // EventSource no envía cabeceras: el token va en la URL para recibir lo que permite la sesión
+    const token = AuthManager.getSessionToken();
+    this.source = new EventSource(`${APIClient.baseURL}/api/events${token ? `?token=${encodeURIComponent(token)}` : ''}`);
+
+    this.source.addEventListener('open', () => {
+      this.connected = true;
+      GlobalSyncManager.stopAutoSync();
+      console.log('⚡ Canal en tiempo real conectado');
+
+      // Recuperar lo que haya cambiado mientras el canal estuvo caído
+      if (this.hasConnected) {
+        GlobalSyncManager.syncFromServer();
+      }
+      this.hasConnected = true;
+    });
+
+    this.source.addEventListener('change', (e) => {
+      try {
+        GlobalSyncManager.applyRemoteChange(JSON.parse(e.data));
+      } catch (error) {
+        console.warn('Error aplicando cambio en tiempo real:', error);
+      }
+    });
+
+    this.source.addEventListener('error', () => {
+      if (this.connected) {
+        console.warn('⚠️ Canal en tiempo real caído - usando sincronización periódica');
+      }
+      this.connected = false;
+      if (!GlobalSyncManager.syncInterval && GlobalSyncManager.isOnline) {
+        GlobalSyncManager.startAutoSync();
+      }
+    });
+  }
+
+  static disconnect() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.connected = false;
+  }
+
+  // Al cambiar de sesión el canal se reabre con el nuevo token
+  static reconnect() {
+    if (!this.source) return;
+    this.disconnect();
+    this.connect();
+  }
 }
 
 // Utility Functions
@@ -210,7 +798,7 @@ class Utils {
 
     notification.innerHTML = `
       <i class="${iconMap[type]}"></i>
-      <span>${message}</span>
+      <span>${Utils.escapeHTML(message)}</span>
       <button class="notification-close" onclick="this.parentElement.remove()">
         <i class="fas fa-times"></i>
       </button>
@@ -230,6 +818,15 @@ class Utils {
     return new Intl.NumberFormat('es-ES').format(num);
   }
 
+  static isDataURL(url) {
+    return typeof url === 'string' && url.startsWith('data:');
+  }
+
+  // localStorage lleno (el nombre del error varía según el navegador)
+  static isQuotaExceeded(error) {
+    return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+  }
+
   static generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
@@ -244,22 +841,66 @@ class Utils {
     return re.test(phone.replace(/\s/g, ''));
   }
 
+  // Nombre visible según las categorías definidas en el evento seleccionado
   static formatCategoryName(categoria) {
-    const categoryNames = {
-      'anime-comic': 'Anime y Comic',
-      'blackwork': 'Blackwork',
-      'color': 'Color',
-      'lettering': 'Lettering',
-      'homenaje': 'Homenaje',
-      'libre': 'Libre',
-      'neotradi': 'Neo-Tradicional',
-      'nuevo-artista': 'Nuevo Artista',
-      'r-color': 'Realismo Color',
-      'r-sombras': 'Realismo Sombras',
-      'sombras': 'Sombras',
-      'tradicionales': 'Tradicionales'
-    };
-    return categoryNames[categoria] || categoria;
+    const definida = window.app && window.app.categorias.find(c => c.id === categoria);
+    return definida ? definida.nombre : categoria;
+  }
+
+  // Lee una imagen como data URL reducida a `maxSize` px en su lado mayor (JPEG).
+  // Sin canvas disponible se devuelve la imagen original.
+  static readImage(file, maxSize = 1280, quality = 0.8) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onerror = () => reject(new Error(`No se pudo leer ${file.name}`));
+      reader.onload = () => {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) {
+          resolve(reader.result);
+          return;
+        }
+
+        const image = new Image();
+        image.onerror = () => reject(new Error(`${file.name} no es una imagen válida`));
+        image.onload = () => {
+          const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+          canvas.width = Math.round(image.width * scale);
+          canvas.height = Math.round(image.height * scale);
+          context.drawImage(image, 0, 0, canvas.width, canvas.height);
+          resolve(canvas.toDataURL('image/jpeg', quality));
+        };
+        image.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Texto seguro para insertar en innerHTML, también dentro de atributos entre comillas
+  static escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // CSV con todos los campos entre comillas y las comillas internas duplicadas, de modo que
+  // las comas, comillas y saltos de línea de los datos no desplazan columnas
+  static toCSV(rows) {
+    return rows
+      .map(row => row.map(value => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  }
+
+  static slugify(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
   }
 
   static animateNumber(element, start, end, duration = 2000) {
@@ -280,94 +921,41 @@ class Utils {
 }
 
 // Authentication Manager
+// Las credenciales se verifican en el servidor (contraseñas cifradas con sal);
+// el navegador solo conserva el token de sesión devuelto por /api/auth/login.
+// Cada cuenta tiene uno o varios roles y el servidor devuelve los permisos que
+// resultan de ellos; la interfaz consulta `can(permiso)` antes de cada acción.
 class AuthManager {
-  // Credenciales generadas dinámicamente - no expuestas
-  static credentials = {};
-
-  // Generador de credenciales aleatorias
-  static generateRandomCredentials() {
-    const adjectives = ['Swift', 'Secure', 'Dynamic', 'Advanced', 'Elite', 'Prime', 'Ultra', 'Global', 'Expert', 'Master'];
-    const nouns = ['System', 'Portal', 'Access', 'Control', 'Manager', 'Gateway', 'Network', 'Platform', 'Console', 'Interface'];
-    const numbers = Math.floor(Math.random() * 9000) + 1000;
-    
-    const username = adjectives[Math.floor(Math.random() * adjectives.length)] + 
-                    nouns[Math.floor(Math.random() * nouns.length)] + 
-                    numbers;
-    
-    // Generar contraseña segura de 12 caracteres
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%&*';
-    let password = '';
-    for (let i = 0; i < 12; i++) {
-      password += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    
-    return { username, password };
-  }
-
-  // Inicializar credenciales del sistema
-  static initializeSystemCredentials() {
-    let credentials = {};
-    
-    try {
-      const existingCredentials = localStorage.getItem('systemCredentials');
-      if (existingCredentials) {
-        credentials = JSON.parse(existingCredentials);
-      }
-    } catch (e) {
-      console.error('Error loading credentials:', e);
-    }
-
-    // Solo generar credenciales si no existen
-    if (!credentials.administracion) {
-      // Admin mantiene credenciales fijas para acceso inicial
-      credentials.administracion = {
-        username: 'admin',
-        password: 'Colombia2026',
-        email: 'admin@tattoorating.com',
-        permissions: ['evaluacion', 'administracion', 'registro', 'resultados']
-      };
-    }
+  static session = null;
+
+  // Permisos que dan acceso a cada módulo (basta con uno); el servidor aplica las mismas reglas
+  static sectionPermissions = {
+    administracion: ['administracion.acceder'],
+    evaluacion: ['evaluacion.registrar'],
+    registro: ['registro.tatuadores', 'registro.jurados'],
+    resultados: ['resultados.ver'],
+    score: ['score.analizar']
+  };
 
-    // Generar credenciales aleatorias para otros módulos si no existen
-    if (!credentials.evaluacion) {
-      const evalCreds = this.generateRandomCredentials();
-      credentials.evaluacion = {
-        username: evalCreds.username,
-        password: evalCreds.password,
-        email: 'evaluacion@tattoorating.com',
-        permissions: ['evaluacion']
-      };
-    }
+  // Eliminar credenciales en texto plano guardadas por versiones anteriores
+  static purgeLegacyCredentials() {
+    localStorage.removeItem('systemCredentials');
+  }
 
-    if (!credentials.registro) {
-      const regCreds = this.generateRandomCredentials();
-      credentials.registro = {
-        username: regCreds.username,
-        password: regCreds.password,
-        email: 'registro@tattoorating.com',
-        permissions: ['registro']
-      };
+  static describeError(error, fallback) {
+    if (error.data && error.data.error) {
+      return error.data.error;
     }
-
-    if (!credentials.resultados) {
-      const resCreds = this.generateRandomCredentials();
-      credentials.resultados = {
-        username: resCreds.username,
-        password: resCreds.password,
-        email: 'resultados@tattoorating.com',
-        permissions: ['resultados']
-      };
+    if (!error.status) {
+      return 'Servidor de autenticación no disponible. Verifica la conexión.';
     }
-
-    // Guardar credenciales de forma segura
-    localStorage.setItem('systemCredentials', JSON.stringify(credentials));
-    return credentials;
+    return fallback;
   }
 
-  // Regenerar credenciales (solo admin)
-  static regenerateCredentials(section, currentAdminSession) {
-    if (!currentAdminSession || !this.isLoggedIn('administracion')) {
-      return { success: false, message: 'Acceso denegado. Solo administradores pueden regenerar credenciales.' };
+  // Regenerar credenciales de un módulo
+  static async regenerateCredentials(section) {
+    if (!this.can('usuarios.gestionar')) {
+      return { success: false, message: 'Acceso denegado. No tiene permiso para gestionar credenciales.' };
     }
 
     if (section === 'administracion') {
@@ -375,30 +963,20 @@ class AuthManager {
     }
 
     try {
-      const credentials = JSON.parse(localStorage.getItem('systemCredentials') || '{}');
-      const newCreds = this.generateRandomCredentials();
-      
-      credentials[section] = {
-        ...credentials[section],
-        username: newCreds.username,
-        password: newCreds.password
-      };
-
-      localStorage.setItem('systemCredentials', JSON.stringify(credentials));
-      
-      return { 
-        success: true, 
+      const credentials = await APIClient.post(`/credentials/${section}/regenerate`, {});
+      return {
+        success: true,
         message: `Credenciales regeneradas para ${section}`,
-        credentials: { username: newCreds.username, password: newCreds.password }
+        credentials
       };
     } catch (e) {
-      return { success: false, message: 'Error al regenerar credenciales' };
+      return { success: false, message: this.describeError(e, 'Error al regenerar credenciales') };
     }
   }
 
-  // Cambiar contraseña de administrador
-  static changeAdminPassword(newPassword, confirmPassword, currentAdminSession) {
-    if (!currentAdminSession || !this.isLoggedIn('administracion')) {
+  // Cambiar contraseña de la cuenta con la sesión abierta
+  static async changeAdminPassword(newPassword, confirmPassword) {
+    if (!this.hasValidSession(this.session)) {
       return { success: false, message: 'Acceso denegado.' };
     }
 
@@ -411,141 +989,205 @@ class AuthManager {
     }
 
     try {
-      const credentials = JSON.parse(localStorage.getItem('systemCredentials') || '{}');
-      credentials.administracion.password = newPassword;
-      localStorage.setItem('systemCredentials', JSON.stringify(credentials));
-      
-      return { success: true, message: 'Contraseña de administrador actualizada correctamente.' };
+      await APIClient.post('/auth/password', { newPassword });
+      return { success: true, message: 'Contraseña actualizada correctamente.' };
     } catch (e) {
-      return { success: false, message: 'Error al actualizar contraseña.' };
+      return { success: false, message: this.describeError(e, 'Error al actualizar contraseña.') };
     }
   }
 
-  // Obtener credenciales (solo para admin)
-  static getCredentialsForAdmin(section) {
-    if (!this.isLoggedIn('administracion')) {
+  // Obtener usuario y email de un módulo; la contraseña nunca sale del servidor
+  static async getCredentialsForAdmin(section) {
+    if (!this.can('usuarios.gestionar')) {
       return null;
     }
 
     try {
-      const credentials = JSON.parse(localStorage.getItem('systemCredentials') || '{}');
-      return credentials[section] || null;
+      return await APIClient.get(`/credentials/${section}`);
     } catch (e) {
       return null;
     }
   }
 
-  static currentUser = {
-    admin: null,
-    evaluacion: null,
-    registro: null,
-    resultados: null
-  };
+  // Emitir (o renovar) las credenciales individuales de un jurado
+  static async issueJuradoCredentials(juradoId) {
+    try {
+      const credentials = await APIClient.post(`/credentials/jurados/${encodeURIComponent(juradoId)}`, {});
+      return { success: true, credentials };
+    } catch (e) {
+      return { success: false, message: this.describeError(e, 'Error al generar las credenciales del jurado') };
+    }
+  }
 
-  static login(username, password, section) {
-    // Validar que se ingresen credenciales
-    if (!username || !password) {
-      return { success: false, message: 'Debe ingresar usuario y contraseña' };
+  static async getJuradoCredentials(juradoId) {
+    try {
+      return await APIClient.get(`/credentials/jurados/${encodeURIComponent(juradoId)}`);
+    } catch (e) {
+      return null;
     }
+  }
 
-    // Inicializar credenciales si no existen
-    const credentials = this.initializeSystemCredentials();
+  // Cuentas y roles (requiere `usuarios.gestionar`)
+  static async getRoles() {
+    return APIClient.get('/roles');
+  }
 
-    // Verificar credenciales según la sección
-    const sectionCredentials = credentials[section];
-    if (!sectionCredentials) {
-      return { success: false, message: 'Sección no configurada' };
-    }
+  static async listUsers() {
+    return APIClient.get('/users');
+  }
 
-    // Verificar si es admin intentando acceder a cualquier módulo
-    const adminCredentials = credentials.administracion;
-    const isAdminLogin = username === adminCredentials.username && password === adminCredentials.password;
-    
-    // Si es admin, puede acceder a cualquier módulo
-    if (isAdminLogin) {
-      const userKey = 'admin';
-      this.currentUser[userKey] = {
-        username: adminCredentials.username,
-        email: adminCredentials.email,
-        permissions: adminCredentials.permissions,
-        loginTime: new Date(),
-        activeSection: section,
-        isAdmin: true
-      };
-      return { success: true, userType: 'administracion', permissions: adminCredentials.permissions, isAdmin: true };
-    }
-
-    // Verificar credenciales específicas del módulo
-    if (username === sectionCredentials.username && password === sectionCredentials.password) {
-      const userKey = section;
-      this.currentUser[userKey] = {
-        username: username,
-        email: sectionCredentials.email || `${section}@tattoorating.com`,
-        permissions: sectionCredentials.permissions || [section],
-        loginTime: new Date(),
-        activeSection: section,
-        isAdmin: false
-      };
-      return { success: true, userType: section, permissions: sectionCredentials.permissions || [section] };
+  static async createAccount(account) {
+    try {
+      const result = await APIClient.post('/users', account);
+      return { success: true, ...result };
+    } catch (e) {
+      return { success: false, message: this.describeError(e, 'Error al crear la cuenta') };
     }
-
-    return { success: false, message: 'Credenciales incorrectas' };
   }
 
-  static logout(type) {
-    if (type === 'administracion') {
-      this.currentUser.admin = null;
-    } else if (type === 'evaluacion') {
-      this.currentUser.evaluacion = null;
-    } else if (type === 'registro') {
-      this.currentUser.registro = null;
-    } else if (type === 'resultados') {
-      this.currentUser.resultados = null;
+  static async updateUserRoles(userId, roles) {
+    try {
+      const user = await APIClient.put(`/users/${encodeURIComponent(userId)}`, { roles });
+      return { success: true, user };
+    } catch (e) {
+      return { success: false, message: this.describeError(e, 'Error al actualizar los roles') };
     }
   }
 
-  static isLoggedIn(section) {
-    // Admin tiene acceso universal
-    if (this.currentUser.admin !== null) {
-      return true;
+  static async deleteAccount(userId) {
+    try {
+      await APIClient.delete(`/users/${encodeURIComponent(userId)}`);
+      return { success: true };
+    } catch (e) {
+      return { success: false, message: this.describeError(e, 'Error al eliminar la cuenta') };
     }
-    
-    // Verificar acceso específico del módulo
-    if (section === 'evaluacion') {
-      return this.currentUser.evaluacion !== null;
-    }
-    if (section === 'administracion') {
-      return false; // Solo admin puede acceder
+  }
+
+  static async login(username, password, section) {
+    // Validar que se ingresen credenciales
+    if (!username || !password) {
+      return { success: false, message: 'Debe ingresar usuario y contraseña' };
     }
-    if (section === 'registro') {
-      return this.currentUser.registro !== null;
+
+    let result;
+    try {
+      result = await APIClient.post('/auth/login', { username, password, section });
+    } catch (error) {
+      return { success: false, message: this.describeError(error, 'Credenciales incorrectas') };
     }
-    if (section === 'resultados') {
-      return this.currentUser.resultados !== null;
+
+    const { user, token, expiresAt } = result;
+    this.session = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      roles: user.roles,
+      permissions: user.permissions,
+      juradoId: user.juradoId,
+      loginTime: new Date(),
+      activeSection: section,
+      isAdmin: user.isAdmin,
+      token,
+      expiresAt
+    };
+
+    // Reenviar cambios que esperaban una sesión válida
+    OfflineQueue.flush();
+    this.sessionChanged();
+
+    return { success: true, userType: section, permissions: user.permissions, isAdmin: user.isAdmin };
+  }
+
+  // La sesión pertenece al módulo donde se inició: salir de él la cierra
+  static logout(type) {
+    const session = this.session;
+
+    if (session && session.activeSection === type) {
+      // Invalidar el token en el servidor sin bloquear la interfaz
+      APIClient.post('/auth/logout', {}, { authToken: session.token }).catch(() => {});
+      this.session = null;
+      this.sessionChanged();
     }
-    return false;
+  }
+
+  // Las evaluaciones bajo embargo solo llegan a las sesiones que pueden verlas:
+  // al entrar o salir se reabre el canal en tiempo real y se vuelven a pedir los datos
+  static sessionChanged() {
+    if (!GlobalSyncManager.isOnline) return;
+    RealtimeChannel.reconnect();
+    GlobalSyncManager.syncFromServer();
+  }
+
+  static hasValidSession(user) {
+    return !!user && new Date(user.expiresAt).getTime() > Date.now();
+  }
+
+  static can(permission) {
+    return this.hasValidSession(this.session) && this.session.permissions.includes(permission);
+  }
+
+  static isLoggedIn(section) {
+    const permissions = this.sectionPermissions[section] || [];
+    return permissions.some(permission => this.can(permission));
   }
 
   static getCurrentUser(section) {
-    // Admin tiene prioridad en todos los módulos
-    if (this.currentUser.admin !== null) {
-      return this.currentUser.admin;
+    return this.isLoggedIn(section) ? this.session : null;
+  }
+
+  static getActiveSection() {
+    return this.hasValidSession(this.session) ? this.session.activeSection : null;
+  }
+
+  // Jurado vinculado a la sesión de evaluación
+  static getJuradoId() {
+    const user = this.getCurrentUser('evaluacion');
+    return user && user.juradoId ? user.juradoId : null;
+  }
+
+  // Un jurado sin permiso de supervisión solo puede evaluar en su propio nombre
+  static isJuradoLocked() {
+    return !!this.getJuradoId() && !this.can('evaluacion.supervisar');
+  }
+
+  // Token que acompaña a las peticiones de escritura
+  static getSessionToken() {
+    return this.hasValidSession(this.session) ? this.session.token : null;
+  }
+
+  // Solicitar un enlace de recuperación; el servidor lo envía al email de la cuenta
+  static async requestPasswordReset(email) {
+    if (!Utils.validateEmail(email)) {
+      return { success: false, message: 'Por favor ingresa un email válido' };
     }
-    
-    // Retornar usuario específico del módulo
-    if (section === 'evaluacion') {
-      return this.currentUser.evaluacion;
+
+    try {
+      await APIClient.post('/auth/recover', { email });
+      return { success: true, message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña.' };
+    } catch (e) {
+      return { success: false, message: this.describeError(e, 'No se pudo enviar el enlace de recuperación') };
     }
-    if (section === 'administracion') {
-      return null; // Solo admin
+  }
+
+  static async resetPassword(token, newPassword, confirmPassword) {
+    if (!token) {
+      return { success: false, message: 'El enlace de recuperación no es válido o ha caducado' };
+    }
+
+    if (newPassword !== confirmPassword) {
+      return { success: false, message: 'Las contraseñas no coinciden.' };
     }
-    if (section === 'registro') {
-      return this.currentUser.registro;
+
+    if (newPassword.length < 8) {
+      return { success: false, message: 'La contraseña debe tener al menos 8 caracteres.' };
     }
-    if (section === 'resultados') {
-      return this.currentUser.resultados;
+
+    try {
+      const result = await APIClient.post('/auth/reset', { token, newPassword });
+      return { success: true, message: `Contraseña de ${result.username} actualizada. Ya puedes iniciar sesión.` };
+    } catch (e) {
+      return { success: false, message: this.describeError(e, 'No se pudo restablecer la contraseña') };
     }
-    return null;
   }
 
   static showPasswordRecovery(type) {
@@ -559,52 +1201,146 @@ class AuthManager {
     const modal = document.getElementById('passwordRecoveryModal');
     if (modal) {
       modal.classList.remove('active');
+      document.getElementById('passwordRecoveryForm')?.reset();
     }
   }
 }
 
+// Estrategias para consolidar las evaluaciones de un tatuador en una categoría.
+// Cada estrategia recibe las evaluaciones del grupo y `{ criterios, puntuar }`, donde
+// `puntuar(valores)` calcula la puntuación ponderada de unos valores por criterio.
+class ScoreConsolidation {
+  static strategies = {};
+
+  static register(id, label, description, consolidate) {
+    this.strategies[id] = { id, label, description, consolidate };
+  }
+
+  static get(id) {
+    return this.strategies[id] || this.strategies.media;
+  }
+
+  static mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  // Desviación típica poblacional
+  static deviation(values) {
+    const mean = this.mean(values);
+    return Math.sqrt(this.mean(values.map(value => (value - mean) ** 2)));
+  }
+
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  // Descarta el valor más alto y el más bajo; con menos de tres valores no se descarta ninguno
+  static trim(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length >= 3 ? sorted.slice(1, -1) : sorted;
+  }
+}
+
+ScoreConsolidation.register('media', 'Media', 'Media de las puntuaciones de los jurados',
+  evaluaciones => ScoreConsolidation.mean(evaluaciones.map(e => e.puntuacionTotal)));
+
+ScoreConsolidation.register('mediaRecortada', 'Media recortada', 'Media sin la puntuación más alta ni la más baja (con tres evaluaciones o más)',
+  evaluaciones => ScoreConsolidation.mean(ScoreConsolidation.trim(evaluaciones.map(e => e.puntuacionTotal))));
+
+ScoreConsolidation.register('mediana', 'Mediana', 'Puntuación central de los jurados',
+  evaluaciones => ScoreConsolidation.median(evaluaciones.map(e => e.puntuacionTotal)));
+
+ScoreConsolidation.register('olimpico', 'Olímpico', 'En cada criterio se descartan la nota más alta y la más baja y se pondera la media del resto',
+  (evaluaciones, { criterios, puntuar }) => {
+    const valores = {};
+    criterios.forEach(criterio => {
+      const notas = evaluaciones.map(e => e.criterios[criterio.id]).filter(v => typeof v === 'number');
+      if (notas.length > 0) {
+        valores[criterio.id] = ScoreConsolidation.mean(ScoreConsolidation.trim(notas));
+      }
+    });
+    return puntuar(valores);
+  });
+
 // Main Application Class
 class TattooRatingApp {
   constructor() {
+    this.eventos = [];
+    this.eventoId = localStorage.getItem('tattooRatingEvento');
     this.tatuadores = [];
+    this.piezas = [];
     this.jurados = [];
     this.evaluaciones = [];
+    this.votos = [];
+    this.rolesDisponibles = {};
+    this.permisosDisponibles = {};
     this.sessionTimeout = null;
     this.sessionTimeoutDuration = 0; // Desactivado (0 = sin timeout)
     this.lastActivity = Date.now();
-    this.categorias = [
-      'anime-comic', 'blackwork', 'color', 'lettering', 'homenaje', 'libre',
-      'neotradi', 'nuevo-artista', 'r-color', 'r-sombras', 'sombras', 'tradicionales'
+    // Categorías y criterios de los eventos que no definen los suyos
+    this.categoriasPorDefecto = [
+      { id: 'anime-comic', nombre: 'Anime y Comic', activa: true },
+      { id: 'blackwork', nombre: 'Blackwork', activa: true },
+      { id: 'color', nombre: 'Color', activa: true },
+      { id: 'lettering', nombre: 'Lettering', activa: true },
+      { id: 'homenaje', nombre: 'Homenaje', activa: true },
+      { id: 'libre', nombre: 'Libre', activa: true },
+      { id: 'neotradi', nombre: 'Neo-Tradicional', activa: true },
+      { id: 'nuevo-artista', nombre: 'Nuevo Artista', activa: true },
+      { id: 'r-color', nombre: 'Realismo Color', activa: true },
+      { id: 'r-sombras', nombre: 'Realismo Sombras', activa: true },
+      { id: 'sombras', nombre: 'Sombras', activa: true },
+      { id: 'tradicionales', nombre: 'Tradicionales', activa: true }
     ];
 
-    this.criteriosPorCategoria = {
-      'anime-comic': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'blackwork': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'color': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'lettering': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'homenaje': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'libre': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'neotradi': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'nuevo-artista': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'r-color': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'r-sombras': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'sombras': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'],
-      'tradicionales': ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad']
-    };
+    // Cada criterio puntúa de `min` a `max` en pasos de `paso`; `peso` pondera la puntuación total
+    this.criteriosBase = [
+      { id: 'tecnica', nombre: 'Técnica', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+      { id: 'creatividad', nombre: 'Creatividad', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+      { id: 'composicion', nombre: 'Composición', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+      { id: 'color', nombre: 'Color', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+      { id: 'dificultad', nombre: 'Dificultad', peso: 1, min: 0.1, max: 10, paso: 0.1 }
+    ];
+    this.criteriosPorDefecto = {};
+    this.motivosConflicto = ['Mismo estudio', 'Ex aprendiz', 'Familiar', 'Relación personal', 'Otro'];
+    // Mismo límite que aplica el servidor (MAX_FOTOS_POR_PIEZA)
+    this.maxFotosPorPieza = 8;
+    // Sin conexión las fotos esperan en la cola, en localStorage (unos 5 MB por sitio):
+    // tamaño máximo de la cola, en caracteres, al añadir fotos
+    this.maxColaConFotos = 3 * 1024 * 1024;
+    this.almacenamientoLleno = false;
+    // Pantalla pública (#display): segundos por categoría, puestos del podio y datos visibles
+    this.pantallaPorDefecto = { intervalo: 15, podio: 3, mostrarPuntuaciones: false, mostrarJurados: false };
+    this.displayIndex = 0;
+    this.displayTimer = null;
+    this.displayRevelacion = null;
+    // Flujo de publicación de cada categoría (`publicacion` del evento)
+    this.estadosPublicacion = [
+      { id: 'evaluacion', nombre: 'En evaluación' },
+      { id: 'cerrada', nombre: 'Cerrada' },
+      { id: 'revisada', nombre: 'Revisada' },
+      { id: 'publicada', nombre: 'Publicada' }
+    ];
+    // Voto del público (`votacion` del evento) y pieza abierta desde #votar/<piezaId>
+    this.votacionPorDefecto = { abierta: false, requiereTicket: false };
+    this.votoPiezaId = null;
+    this.categoriasPorDefecto.forEach(categoria => {
+      this.criteriosPorDefecto[categoria.id] = this.criteriosBase.map(criterio => ({ ...criterio }));
+    });
 
     this.initialize();
   }
 
   async initialize() {
-    this.initializeSystemCredentials();
+    AuthManager.purgeLegacyCredentials();
+    OfflineQueue.updateBadge();
     await this.loadData();
+    this.ensureEventos();
+    this.ensurePiezas();
     this.initEventListeners();
-    this.updateHomeStats();
-  }
-
-  initializeSystemCredentials() {
-    // Inicializar credenciales aleatorias usando AuthManager
-    AuthManager.initializeSystemCredentials();
+    this.updateAllUI();
   }
 
   initEventListeners() {
@@ -685,15 +1421,39 @@ class TattooRatingApp {
     document.getElementById('adminLoginForm')?.addEventListener('submit', (e) => this.handleAdminLogin(e));
     document.getElementById('registroLoginForm')?.addEventListener('submit', (e) => this.handleRegistroLogin(e));
     document.getElementById('resultadosLoginForm')?.addEventListener('submit', (e) => this.handleResultadosLogin(e));
+    document.getElementById('pantallaForm')?.addEventListener('submit', (e) => this.handlePantallaSubmit(e));
     document.getElementById('criteriosForm')?.addEventListener('submit', (e) => this.handleEvaluacionSubmit(e));
     document.getElementById('adminPasswordForm')?.addEventListener('submit', (e) => this.handleAdminPasswordChange(e));
+    document.getElementById('cuentaForm')?.addEventListener('submit', (e) => this.handleCuentaSubmit(e));
+    document.getElementById('passwordRecoveryForm')?.addEventListener('submit', (e) => this.handlePasswordRecovery(e));
+    document.getElementById('passwordResetForm')?.addEventListener('submit', (e) => this.handlePasswordReset(e));
+    document.getElementById('eventoForm')?.addEventListener('submit', (e) => this.handleEventoSubmit(e));
+    document.getElementById('categoriaForm')?.addEventListener('submit', (e) => this.handleCategoriaSubmit(e));
+    document.getElementById('criteriosCategoria')?.addEventListener('change', () => this.updateCriteriosEditor());
+    document.getElementById('consolidacionSelect')?.addEventListener('change', (e) => this.setConsolidacion(e.target.value));
+    document.getElementById('normalizacionSelect')?.addEventListener('change', (e) => this.setNormalizacion(e.target.value));
+    document.getElementById('presidenteSelect')?.addEventListener('change', (e) => this.setPresidente(e.target.value));
+    document.getElementById('desempateAddBtn')?.addEventListener('click', () => this.addDesempate());
+    document.getElementById('votacionAbierta')?.addEventListener('change', (e) => this.setVotacion({ abierta: e.target.checked }));
+    document.getElementById('votacionTicket')?.addEventListener('change', (e) => this.setVotacion({ requiereTicket: e.target.checked }));
+    document.getElementById('ticketsGenerarBtn')?.addEventListener('click', () => this.generarTickets());
+    document.getElementById('votarCategoria')?.addEventListener('change', () => this.updateVotacionUI());
+
+    // Selectores de evento (administración, resultados y score comparten la selección)
+    document.querySelectorAll('.evento-select').forEach(select => {
+      select.addEventListener('change', (e) => this.selectEvento(e.target.value));
+    });
 
     // Evaluation selects
-    document.getElementById('juradoSelect')?.addEventListener('change', () => this.updateEvaluationForm());
-    document.getElementById('tatuadorSelect')?.addEventListener('change', () => this.updateEvaluationForm());
+    document.getElementById('juradoSelect')?.addEventListener('change', () => {
+      this.updateEvaluationSelects();
+      this.updateEvaluationForm();
+    });
+    document.getElementById('piezaSelect')?.addEventListener('change', () => this.updateEvaluationForm());
 
     // Results filter
     document.getElementById('categoriaFilter')?.addEventListener('change', () => this.updateResultadosUI());
+    document.getElementById('coberturaCategoria')?.addEventListener('change', () => this.updateCoberturaTable());
 
     // Score authentication
     document.getElementById('scoreAuthForm')?.addEventListener('submit', (e) => {
@@ -714,7 +1474,7 @@ class TattooRatingApp {
 
   showSection(sectionName) {
     // Auto logout when navigating to public sections
-    if (['home', 'score'].includes(sectionName)) {
+    if (['home', 'score', 'display', 'votar'].includes(sectionName)) {
       if (AuthManager.isLoggedIn('evaluacion')) {
         this.logout('evaluacion', 'navigation');
       }
@@ -729,6 +1489,11 @@ class TattooRatingApp {
       }
     }
 
+    // La sesión de análisis de puntuaciones solo dura mientras se está en Score
+    if (sectionName !== 'score') {
+      AuthManager.logout('score');
+    }
+
     // Auto logout when switching between different protected panels
     const protectedSections = ['evaluacion', 'administracion', 'registro', 'resultados'];
     if (protectedSections.includes(sectionName)) {
@@ -770,8 +1535,8 @@ class TattooRatingApp {
     if (targetSection) {
       targetSection.classList.add('active');
       
-      // Update URL hash without triggering hashchange event
-      if (window.location.hash !== `#${sectionName}`) {
+      // Update URL hash without triggering hashchange event (#votar/<piezaId> se conserva)
+      if (window.location.hash.split('/')[0] !== `#${sectionName}`) {
         history.pushState(null, null, `#${sectionName}`);
       }
     }
@@ -789,6 +1554,16 @@ class TattooRatingApp {
       this.updateHomeStats();
     } else if (sectionName === 'score') {
       this.updateScoreSection();
+    } else if (sectionName === 'votar') {
+      this.updateVotacionUI();
+    }
+
+    // La pantalla pública ocupa toda la ventana y rota sola mientras está visible
+    document.body.classList.toggle('kiosk-mode', sectionName === 'display');
+    if (sectionName === 'display') {
+      this.startDisplay();
+    } else {
+      this.stopDisplay();
     }
 
     // Close mobile menu if it's open
@@ -813,864 +1588,3632 @@ class TattooRatingApp {
     if (targetPane) {
       targetPane.classList.add('active');
     }
-  }
-
-  handleTatuadorSubmit(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-
-    const nombre = formData.get('nombre');
-    const categoria = formData.get('categoria');
-    const email = formData.get('email');
-    const telefono = formData.get('telefono');
 
-    // Validation
-    if (!Utils.validateEmail(email)) {
-      Utils.showNotification('Por favor ingresa un email válido', 'error');
-      return;
+    if (tabName === 'configuracion') {
+      this.updateCategoriasTable();
+      this.updateCriteriosEditor();
+      this.updateCuentasTable();
     }
-
-    if (!Utils.validatePhone(telefono)) {
-      Utils.showNotification('Por favor ingresa un teléfono válido', 'error');
-      return;
+    if (tabName === 'eventos') {
+      this.updateEventosTable();
+      this.renderEventoCategorias();
     }
+  }
 
-    // Check duplicates
-    if (this.tatuadores.some(t => t.email === email)) {
-      Utils.showNotification('Ya existe un tatuador registrado con este email', 'error');
-      return;
+  // Comprobar un permiso antes de ejecutar una acción protegida
+  requirePermission(permission) {
+    if (AuthManager.can(permission)) {
+      return true;
     }
+    Utils.showNotification('No tienes permiso para realizar esta acción', 'error');
+    return false;
+  }
 
-    const tatuador = {
-      id: Utils.generateId(),
-      nombre,
-      categoria,
-      email,
-      telefono,
-      fechaRegistro: new Date().toISOString()
-    };
-
-    this.tatuadores.push(tatuador);
-    this.saveData();
-    this.updateHomeStats();
-    this.updateAdminUI();
+  // Evento (edición de la competición) con el que se trabaja en este dispositivo
+  get evento() {
+    return this.eventos.find(e => e.id === this.eventoId) || null;
+  }
 
-    Utils.showNotification('Tatuador registrado exitosamente', 'success');
-    e.target.reset();
+  // Categorías del evento en su orden de presentación, incluidas las retiradas
+  get categorias() {
+    return (this.evento && this.evento.categorias) || this.categoriasPorDefecto;
   }
 
-  handleJuradoSubmit(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
+  // Las categorías retiradas conservan sus resultados pero no admiten nuevas inscripciones
+  get categoriasActivas() {
+    return this.categorias.filter(categoria => categoria.activa !== false);
+  }
 
-    const nombre = formData.get('nombre');
-    const email = formData.get('email');
-    const experiencia = parseInt(formData.get('experiencia'));
-    const especialidad = formData.get('especialidad');
+  get criteriosPorCategoria() {
+    return (this.evento && this.evento.criterios) || this.criteriosPorDefecto;
+  }
 
-    // Validation
-    if (!Utils.validateEmail(email)) {
-      Utils.showNotification('Por favor ingresa un email válido', 'error');
-      return;
-    }
+  // Versión de las reglas de puntuación de una categoría; cambia cada vez que se modifican
+  // sus criterios y ya hay evaluaciones. Los eventos anteriores solo tienen `reglasVersion`
+  // para todo el evento, que sigue valiendo para las categorías sin versión propia.
+  reglasVersionDe(categoria) {
+    const versiones = (this.evento && this.evento.reglasVersiones) || {};
+    return versiones[categoria] || (this.evento && this.evento.reglasVersion) || 1;
+  }
 
-    if (experiencia < 1) {
-      Utils.showNotification('La experiencia debe ser de al menos 1 año', 'error');
-      return;
-    }
+  // Con evaluaciones registradas las reglas quedan bloqueadas salvo que se desbloqueen expresamente
+  get reglasBloqueadas() {
+    if (!this.evento) return false;
+    if (typeof this.evento.reglasBloqueadas === 'boolean') return this.evento.reglasBloqueadas;
+    return this.eventRecords('evaluaciones').length > 0;
+  }
 
-    // Check duplicates
-    if (this.jurados.some(j => j.email === email)) {
-      Utils.showNotification('Ya existe un jurado registrado con este email', 'error');
-      return;
-    }
+  // Estrategia de consolidación del evento
+  get consolidacion() {
+    return ScoreConsolidation.get(this.evento && this.evento.consolidacion);
+  }
 
-    const jurado = {
-      id: Utils.generateId(),
-      nombre,
-      email,
-      experiencia,
-      especialidad,
-      fechaRegistro: new Date().toISOString()
-    };
+  get normalizacion() {
+    return (this.evento && this.evento.normalizacion) || 'ninguna';
+  }
 
-    this.jurados.push(jurado);
-    this.saveData();
-    this.updateHomeStats();
-    this.updateAdminUI();
-    this.updateEvaluationSelects();
+  // Reglas de desempate del evento, en orden: 'criterio:<id>' o 'presidente'
+  get desempate() {
+    return (this.evento && this.evento.desempate) || [];
+  }
 
-    Utils.showNotification('Jurado registrado exitosamente', 'success');
-    e.target.reset();
+  get presidenteJuradoId() {
+    return (this.evento && this.evento.presidenteJuradoId) || '';
   }
 
-  handleEvaluacionLogin(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    const username = formData.get('username');
-    const password = formData.get('password');
+  // Media y dispersión de las puntuaciones de cada jurado en una categoría y del panel completo.
+  // Solo cuentan las evaluaciones vigentes de la categoría: las escalas de cada categoría son
+  // distintas, y como el servidor entrega las evaluaciones de una categoría todas o ninguna,
+  // las cifras son las mismas para cualquiera que vea sus resultados.
+  calibracionJurados(categoria) {
+    const evaluaciones = this.eventRecords('evaluaciones')
+      .filter(e => e.categoria === categoria && this.evaluacionVigente(e));
+    const describir = valores => ({
+      evaluaciones: valores.length,
+      media: valores.length ? ScoreConsolidation.mean(valores) : 0,
+      desviacion: valores.length ? ScoreConsolidation.deviation(valores) : 0
+    });
 
-    const result = AuthManager.login(username, password, 'evaluacion');
+    const panel = describir(evaluaciones.map(e => e.puntuacionTotal));
+    const jurados = {};
+    evaluaciones.forEach(evaluacion => {
+      if (!jurados[evaluacion.juradoId]) {
+        jurados[evaluacion.juradoId] = { juradoId: evaluacion.juradoId, jurado: evaluacion.jurado, puntuaciones: [] };
+      }
+      jurados[evaluacion.juradoId].puntuaciones.push(evaluacion.puntuacionTotal);
+    });
 
-    if (result.success) {
-      Utils.showNotification('Acceso autorizado al sistema de evaluación', 'success');
-      this.showEvaluacionPanel();
-      this.updateEvaluationSelects();
-    } else {
-      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
-      // Limpiar formulario inmediatamente después de fallo de login
-      setTimeout(() => {
-        this.clearLoginForm('evaluacionLoginForm');
-      }, 2000);
-    }
+    Object.values(jurados).forEach(jurado => {
+      Object.assign(jurado, describir(jurado.puntuaciones));
+      jurado.diferencia = jurado.media - panel.media;
+    });
+
+    return { panel, jurados };
   }
 
-  handleAdminLogin(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    const username = formData.get('username');
-    const password = formData.get('password');
+  // Con normalización z-score, cada puntuación se expresa respecto a la distribución de su jurado
+  // y se lleva a la escala del panel. El mismo ajuste lineal se aplica a cada criterio, de modo
+  // que la media ponderada de los criterios ajustados coincide con el total ajustado.
+  // Los jurados con una sola evaluación no pueden calibrarse y conservan sus puntuaciones.
+  normalizarEvaluaciones(evaluaciones, calibracion) {
+    if (this.normalizacion !== 'zscore') return evaluaciones;
 
-    const result = AuthManager.login(username, password, 'administracion');
+    const { panel, jurados } = calibracion;
+    return evaluaciones.map(evaluacion => {
+      const jurado = jurados[evaluacion.juradoId];
+      if (!jurado || jurado.evaluaciones < 2) return evaluacion;
 
-    if (result.success) {
-      Utils.showNotification('Acceso de administrador autorizado', 'success');
-      this.showAdminPanel();
-      this.updateAdminUI();
-    } else {
-      Utils.showNotification(result.message || 'Credenciales de administrador incorrectas', 'error');
-      // Limpiar formulario inmediatamente después de fallo de login
-      setTimeout(() => {
-        this.clearLoginForm('adminLoginForm');
-      }, 2000);
-    }
+      const escala = jurado.desviacion > 0 && panel.desviacion > 0 ? panel.desviacion / jurado.desviacion : 1;
+      const ajustar = valor => panel.media + (valor - jurado.media) * escala;
+
+      const criterios = {};
+      Object.entries(evaluacion.criterios).forEach(([criterio, valor]) => {
+        criterios[criterio] = ajustar(valor);
+      });
+      return { ...evaluacion, criterios, puntuacionTotal: ajustar(evaluacion.puntuacionTotal) };
+    });
   }
 
-  handleRegistroLogin(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    const username = formData.get('username');
-    const password = formData.get('password');
+  // Puntuación consolidada de las evaluaciones de un tatuador en una categoría.
+  // Las registradas con reglas anteriores no cuentan hasta que se recalculen.
+  // Quien consolida muchas piezas calcula la calibración de la categoría una vez y la pasa aquí.
+  consolidarEvaluaciones(evaluaciones, categoria, calibracion = null) {
+    const vigentes = evaluaciones.filter(e => this.evaluacionVigente(e));
+    if (vigentes.length === 0) return 0;
+
+    const normalizadas = this.normalizacion === 'zscore'
+      ? this.normalizarEvaluaciones(vigentes, calibracion || this.calibracionJurados(categoria))
+      : vigentes;
+    const puntuacion = this.consolidacion.consolidate(normalizadas, {
+      criterios: this.criteriosDe(categoria),
+      puntuar: valores => this.calculatePuntuacionTotal(categoria, valores)
+    });
+    return Math.round(puntuacion * 100) / 100;
+  }
 
-    const result = AuthManager.login(username, password, 'registro');
+  evaluacionVigente(evaluacion) {
+    return (evaluacion.reglasVersion || 1) === this.reglasVersionDe(evaluacion.categoria);
+  }
 
-    if (result.success) {
-      Utils.showNotification('Acceso autorizado al sistema de registro', 'success');
-      this.showRegistroPanel();
-    } else {
-      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
-      // Limpiar formulario inmediatamente después de fallo de login
-      setTimeout(() => {
-        this.clearLoginForm('registroLoginForm');
-      }, 2000);
-    }
+  // Evaluaciones registradas con una versión anterior de las reglas de su categoría
+  evaluacionesDesactualizadas() {
+    return this.eventRecords('evaluaciones').filter(e => !this.evaluacionVigente(e));
   }
 
-  handleResultadosLogin(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    const username = formData.get('username');
-    const password = formData.get('password');
+  // Criterios configurados para una categoría (los de una categoría sin configurar son los base)
+  criteriosDe(categoria) {
+    return this.criteriosPorCategoria[categoria] || this.criteriosBase;
+  }
 
-    const result = AuthManager.login(username, password, 'resultados');
+  criterioNombre(categoria, criterioId) {
+    const criterio = this.criteriosDe(categoria).find(c => c.id === criterioId);
+    return criterio ? criterio.nombre : criterioId;
+  }
 
-    if (result.success) {
-      Utils.showNotification('Acceso autorizado al sistema de resultados', 'success');
-      this.showResultadosPanel();
-      this.updateResultadosUI();
-    } else {
-      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
-      // Limpiar formulario inmediatamente después de fallo de login
-      setTimeout(() => {
-        this.clearLoginForm('resultadosLoginForm');
-      }, 2000);
-    }
+  // Media ponderada por el peso de cada criterio, redondeada a dos decimales
+  calculatePuntuacionTotal(categoria, valores) {
+    let suma = 0;
+    let pesos = 0;
+    this.criteriosDe(categoria).forEach(criterio => {
+      if (valores[criterio.id] === undefined) return;
+      suma += valores[criterio.id] * criterio.peso;
+      pesos += criterio.peso;
+    });
+    return pesos > 0 ? Math.round((suma / pesos) * 100) / 100 : 0;
   }
 
-  handleEvaluacionSubmit(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
+  // Registros de una colección que pertenecen al evento seleccionado
+  eventRecords(collection) {
+    return this[collection].filter(record => record.eventoId === this.eventoId);
+  }
 
-    const juradoId = document.getElementById('juradoSelect').value;
-    const tatuadorId = document.getElementById('tatuadorSelect').value;
+  isEventoEditable() {
+    return !!this.evento && this.evento.estado !== 'archivado';
+  }
 
-    if (!juradoId || !tatuadorId) {
-      Utils.showNotification('Debes seleccionar jurado y tatuador', 'error');
-      return;
+  // Los eventos archivados solo se consultan; no admiten altas, evaluaciones ni eliminaciones
+  requireEditableEvento() {
+    if (this.isEventoEditable()) {
+      return true;
     }
+    Utils.showNotification('El evento seleccionado está archivado y es de solo lectura', 'error');
+    return false;
+  }
 
-    const jurado = this.jurados.find(j => j.id === juradoId);
-    const tatuador = this.tatuadores.find(t => t.id === tatuadorId);
+  // Sin conexión y sin datos previos se trabaja con un evento local equivalente al que crea el servidor
+  ensureEventos() {
+    if (this.eventos.length === 0) {
+      this.eventos.push({
+        id: 'evento-principal',
+        nombre: 'Edición principal',
+        ciudad: '',
+        fechaInicio: null,
+        fechaFin: null,
+        estado: 'activo',
+        fechaCreacion: new Date().toISOString()
+      });
+    }
 
-    // Verificar si ya existe una evaluación de este jurado para este tatuador en esta categoría
-    const evaluacionExistente = this.evaluaciones.find(e => 
-      e.juradoId === juradoId && 
-      e.tatuadorId === tatuadorId && 
-      e.categoria === tatuador.categoria
-    );
-
-    if (evaluacionExistente) {
-      Utils.showNotification(`Restricción de evaluación: El jurado ${jurado.nombre} ya evaluó a ${tatuador.nombre} en la categoría ${Utils.formatCategoryName(tatuador.categoria)}. Un jurado solo puede evaluar a un tatuador una vez por categoría.`, 'error');
-      return;
-    }
+    // Datos guardados antes de existir los eventos
+    ['tatuadores', 'piezas', 'jurados', 'evaluaciones', 'votos'].forEach(collection => {
+      this[collection].forEach(record => {
+        if (!record.eventoId) record.eventoId = this.eventos[0].id;
+      });
+    });
+    this.ensureEventoSeleccionado();
+  }
 
-    const criterios = {};
-    const criteriosInputs = document.querySelectorAll('.criterio-input');
-    let totalPuntuacion = 0;
-    let criteriosEvaluados = 0;
+  // Datos guardados antes de existir las piezas: una pieza por tatuador y categoría,
+  // con el mismo id determinista que genera el servidor al migrar
+  ensurePiezas() {
+    const piezaDe = (tatuadorId, categoria, eventoId, fechaRegistro) => {
+      let pieza = this.piezas.find(p => p.tatuadorId === tatuadorId && p.categoria === categoria);
+      if (!pieza) {
+        pieza = {
+          id: `pieza-${tatuadorId}-${categoria}`,
+          eventoId,
+          tatuadorId,
+          categoria,
+          cliente: '',
+          zona: '',
+          sesiones: null,
+          fechaRegistro: fechaRegistro || new Date().toISOString()
+        };
+        this.piezas.push(pieza);
+      }
+      return pieza;
+    };
 
-    // Validar que todos los criterios hayan sido evaluados
-    criteriosInputs.forEach(input => {
-      const valor = parseFloat(input.value);
-      if (valor > 0) {
-        criteriosEvaluados++;
+    this.tatuadores.forEach(tatuador => {
+      if (tatuador.categoria && !this.piezas.some(p => p.tatuadorId === tatuador.id)) {
+        piezaDe(tatuador.id, tatuador.categoria, tatuador.eventoId, tatuador.fechaRegistro);
       }
-      criterios[input.name] = valor;
-      totalPuntuacion += valor;
     });
 
-    // Verificar que se hayan evaluado todos los criterios
-    if (criteriosEvaluados !== criteriosInputs.length) {
-      Utils.showNotification('Debe evaluar todos los criterios antes de guardar la evaluación', 'error');
-      return;
-    }
+    this.evaluaciones.forEach(evaluacion => {
+      if (!evaluacion.piezaId && evaluacion.tatuadorId && evaluacion.categoria) {
+        evaluacion.piezaId = piezaDe(evaluacion.tatuadorId, evaluacion.categoria, evaluacion.eventoId, evaluacion.fecha).id;
+      }
+    });
+  }
 
-    // Verificar que no haya criterios con puntuación 0
-    const criteriosConCero = Array.from(criteriosInputs).filter(input => parseFloat(input.value) === 0);
-    if (criteriosConCero.length > 0) {
-      Utils.showNotification('Todos los criterios deben tener una puntuación mayor a 0', 'error');
-      return;
-    }
+  // Si el evento guardado ya no existe se usa el activo más reciente
+  ensureEventoSeleccionado() {
+    if (this.evento || this.eventos.length === 0) return;
 
-    const promedio = Math.round((totalPuntuacion / criteriosInputs.length) * 100) / 100;
+    const activos = this.eventos.filter(e => e.estado !== 'archivado');
+    const evento = activos[activos.length - 1] || this.eventos[this.eventos.length - 1];
+    this.eventoId = evento.id;
+    localStorage.setItem('tattooRatingEvento', this.eventoId);
+  }
 
-    const evaluacion = {
-      id: Utils.generateId(),
-      juradoId: jurado.id,
-      jurado: jurado.nombre,
-      tatuadorId: tatuador.id,
-      tatuador: tatuador.nombre,
-      categoria: tatuador.categoria,
-      criterios,
-      puntuacionTotal: promedio,
-      fecha: new Date().toISOString()
-    };
+  selectEvento(eventoId) {
+    if (!this.eventos.some(e => e.id === eventoId) || eventoId === this.eventoId) return;
 
-    this.evaluaciones.push(evaluacion);
-    this.saveData();
-    this.updateHomeStats();
-    this.updateAdminUI();
-    this.updateResultadosUI();
+    this.eventoId = eventoId;
+    localStorage.setItem('tattooRatingEvento', eventoId);
     this.resetEvaluationForm();
-
-    Utils.showNotification('Evaluación guardada exitosamente', 'success');
+    this.updateAllUI();
+    this.updateCriteriosEditor();
   }
 
-  checkEvaluacionAccess() {
-    const loginPanel = document.getElementById('evaluacionLogin');
-    const evaluacionPanel = document.getElementById('evaluacionPanel');
-    const userName = document.getElementById('evaluacionUserName');
-
-    if (AuthManager.isLoggedIn('evaluacion')) {
-      loginPanel.classList.add('hidden');
-      evaluacionPanel.classList.remove('hidden');
-      const user = AuthManager.getCurrentUser('evaluacion');
-      userName.textContent = user.username;
-      this.startSessionTimeout('evaluacion');
-    } else {
-      loginPanel.classList.remove('hidden');
-      evaluacionPanel.classList.add('hidden');
-    }
+  formatEventoFechas(evento) {
+    if (!evento.fechaInicio) return '-';
+    const inicio = new Date(evento.fechaInicio).toLocaleDateString('es-ES', { timeZone: 'UTC' });
+    const fin = evento.fechaFin ? new Date(evento.fechaFin).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : inicio;
+    return inicio === fin ? inicio : `${inicio} - ${fin}`;
   }
 
-  checkAdminAccess() {
-    const loginPanel = document.getElementById('adminLogin');
-    const adminPanel = document.getElementById('adminPanel');
-    const userName = document.getElementById('adminUserName');
+  updateEventoSelects() {
+    const eventos = [...this.eventos].sort((a, b) => (b.fechaInicio || '').localeCompare(a.fechaInicio || ''));
 
-    if (AuthManager.isLoggedIn('administracion')) {
-      loginPanel.classList.add('hidden');
-      adminPanel.classList.remove('hidden');
-      const user = AuthManager.getCurrentUser('administracion');
-      userName.textContent = user.username;
-      this.startSessionTimeout('administracion');
-    } else {
-      loginPanel.classList.remove('hidden');
-      adminPanel.classList.add('hidden');
+    document.querySelectorAll('.evento-select').forEach(select => {
+      select.innerHTML = eventos.map(evento => {
+        const archivado = evento.estado === 'archivado' ? ' (archivado)' : '';
+        const ciudad = evento.ciudad ? ` - ${Utils.escapeHTML(evento.ciudad)}` : '';
+        return `<option value="${evento.id}">${Utils.escapeHTML(evento.nombre)}${ciudad}${archivado}</option>`;
+      }).join('');
+      select.value = this.eventoId || '';
+    });
+
+    const estado = document.getElementById('adminEventoEstado');
+    if (estado) {
+      const archivado = this.evento && this.evento.estado === 'archivado';
+      estado.textContent = archivado ? 'Edición archivada: solo lectura' : 'Edición en curso';
+      estado.classList.toggle('archivado', archivado);
     }
   }
 
-  checkRegistroAccess() {
-    const loginPanel = document.getElementById('registroLogin');
-    const registroPanel = document.getElementById('registroPanel');
-    const userName = document.getElementById('registroUserName');
+  // Las categorías disponibles dependen del evento seleccionado
+  updateCategoriaSelects() {
+    const selects = [
+      ['tatuadorCategoria', 'Selecciona la categoría', this.categoriasActivas],
+      ['categoriaFilter', 'Todas las categorías', this.categorias],
+      ['scoreCategoria', 'Todas las categorías', this.categorias],
+      ['coberturaCategoria', 'Todas las categorías', this.categorias]
+    ];
 
-    if (AuthManager.isLoggedIn('registro')) {
-      loginPanel.classList.add('hidden');
-      registroPanel.classList.remove('hidden');
-      const user = AuthManager.getCurrentUser('registro');
-      userName.textContent = user.username;
-      this.startSessionTimeout('registro');
-    } else {
-      loginPanel.classList.remove('hidden');
-      registroPanel.classList.add('hidden');
-    }
+    selects.forEach(([id, placeholder, categorias]) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      const selected = select.value;
+      select.innerHTML = `<option value="">${placeholder}</option>` + categorias
+        .map(categoria => `<option value="${Utils.escapeHTML(categoria.id)}">${Utils.escapeHTML(categoria.nombre)}</option>`)
+        .join('');
+      select.value = categorias.some(c => c.id === selected) ? selected : '';
+    });
   }
 
-  checkResultadosAccess() {
-    const loginPanel = document.getElementById('resultadosLogin');
-    const resultadosPanel = document.getElementById('resultadosPanel');
-    const userName = document.getElementById('resultadosUserName');
+  updateEventosTable() {
+    const tbody = document.getElementById('eventosTable');
+    if (!tbody) return;
 
-    if (AuthManager.isLoggedIn('resultados')) {
-      loginPanel.classList.add('hidden');
-      resultadosPanel.classList.remove('hidden');
-      const user = AuthManager.getCurrentUser('resultados');
-      userName.textContent = user.username;
-      this.startSessionTimeout('resultados');
-    } else {
-      loginPanel.classList.remove('hidden');
-      resultadosPanel.classList.add('hidden');
+    if (this.eventos.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="6">No hay eventos registrados</td></tr>';
+      return;
     }
-  }
 
-  showEvaluacionPanel() {
-    document.getElementById('evaluacionLogin').classList.add('hidden');
-    document.getElementById('evaluacionPanel').classList.remove('hidden');
-    const user = AuthManager.getCurrentUser('evaluacion');
-    document.getElementById('evaluacionUserName').textContent = user.username;
-    this.startSessionTimeout('evaluacion');
-  }
+    tbody.innerHTML = this.eventos.map(evento => {
+      const archivado = evento.estado === 'archivado';
+      const seleccionado = evento.id === this.eventoId;
+      const categorias = (evento.categorias || this.categoriasPorDefecto).length;
 
-  showAdminPanel() {
-    document.getElementById('adminLogin').classList.add('hidden');
-    document.getElementById('adminPanel').classList.remove('hidden');
-    const user = AuthManager.getCurrentUser('administracion');
-    document.getElementById('adminUserName').textContent = user.username;
-    this.startSessionTimeout('administracion');
+      return `
+        <tr>
+          <td>${Utils.escapeHTML(evento.nombre)}${seleccionado ? ' <span class="category-badge">Seleccionado</span>' : ''}</td>
+          <td>${Utils.escapeHTML(evento.ciudad || '-')}</td>
+          <td>${this.formatEventoFechas(evento)}</td>
+          <td>${categorias}</td>
+          <td>${archivado ? 'Archivado' : 'Activo'}</td>
+          <td class="actions-cell">
+            <button class="btn btn-sm btn-secondary" title="Seleccionar" onclick="app.selectEvento('${evento.id}')" ${seleccionado ? 'disabled' : ''}>
+              <i class="fas fa-check"></i>
+            </button>
+            <button class="btn btn-sm ${archivado ? 'btn-primary' : 'btn-danger'}" title="${archivado ? 'Reactivar' : 'Archivar'}" onclick="app.setEventoEstado('${evento.id}', '${archivado ? 'activo' : 'archivado'}')">
+              <i class="fas ${archivado ? 'fa-box-open' : 'fa-archive'}"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    }).join('');
   }
 
-  showRegistroPanel() {
-    document.getElementById('registroLogin').classList.add('hidden');
-    document.getElementById('registroPanel').classList.remove('hidden');
-    const user = AuthManager.getCurrentUser('registro');
-    document.getElementById('registroUserName').textContent = user.username;
-    this.startSessionTimeout('registro');
-  }
+  renderEventoCategorias() {
+    const container = document.getElementById('eventoCategorias');
+    if (!container) return;
 
-  showResultadosPanel() {
-    document.getElementById('resultadosLogin').classList.add('hidden');
-    document.getElementById('resultadosPanel').classList.remove('hidden');
-    const user = AuthManager.getCurrentUser('resultados');
-    document.getElementById('resultadosUserName').textContent = user.username;
-    this.startSessionTimeout('resultados');
+    container.innerHTML = this.categoriasActivas.map(categoria => `
+      <label class="role-option">
+        <input type="checkbox" name="categorias" value="${categoria.id}" checked>
+        ${Utils.escapeHTML(categoria.nombre)}
+      </label>
+    `).join('');
   }
 
-  startSessionTimeout(type) {
-    this.lastActivity = Date.now();
+  async handleEventoSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('eventos.gestionar')) return;
+    const formData = new FormData(e.target);
 
-    if (this.sessionTimeout) {
-      clearTimeout(this.sessionTimeout);
-    }
+    const fechaInicio = formData.get('fechaInicio');
+    const fechaFin = formData.get('fechaFin');
+    const seleccionadas = formData.getAll('categorias');
+    const categorias = this.categoriasActivas
+      .filter(categoria => seleccionadas.includes(categoria.id))
+      .map(categoria => ({ ...categoria }));
 
-    // Solo activar timeout si está configurado (mayor que 0)
-    if (this.sessionTimeoutDuration > 0) {
-      this.sessionTimeout = setTimeout(() => {
-        if (AuthManager.isLoggedIn(type)) {
-          this.logout(type, 'timeout');
-          Utils.showNotification('Sesión expirada por inactividad después de 20 segundos', 'warning');
-        }
-      }, this.sessionTimeoutDuration);
+    if (fechaFin < fechaInicio) {
+      Utils.showNotification('La fecha de fin no puede ser anterior a la de inicio', 'error');
+      return;
     }
-  }
 
-  resetActivityTimeout() {
-    const now = Date.now();
-    if (now - this.lastActivity < 1000) return;
+    if (categorias.length === 0) {
+      Utils.showNotification('Selecciona al menos una categoría', 'error');
+      return;
+    }
 
-    this.lastActivity = now;
+    // La nueva edición parte de las categorías y criterios del evento actual
+    const criterios = {};
+    categorias.forEach(categoria => {
+      criterios[categoria.id] = this.criteriosDe(categoria.id).map(criterio => ({ ...criterio }));
+    });
 
-    // Solo procesar si el timeout está habilitado
-    if (this.sessionTimeoutDuration > 0 && this.sessionTimeout) {
-      clearTimeout(this.sessionTimeout);
+    const evento = {
+      id: Utils.generateId(),
+      nombre: formData.get('nombre').trim(),
+      ciudad: formData.get('ciudad').trim(),
+      fechaInicio,
+      fechaFin,
+      categorias,
+      criterios,
+      estado: 'activo',
+      fechaCreacion: new Date().toISOString()
+    };
 
-      let type = null;
-      if (AuthManager.isLoggedIn('evaluacion')) type = 'evaluacion';
-      else if (AuthManager.isLoggedIn('administracion')) type = 'administracion';
-      else if (AuthManager.isLoggedIn('registro')) type = 'registro';
-      else if (AuthManager.isLoggedIn('resultados')) type = 'resultados';
+    const anterior = this.evento;
+    this.eventos.push(evento);
+    const synced = await this.saveData({ action: 'create', collection: 'eventos', record: evento });
 
-      if (type) {
-        this.sessionTimeout = setTimeout(() => {
-          if (AuthManager.isLoggedIn(type)) {
-            this.logout(type, 'timeout');
-            Utils.showNotification('Sesión expirada por inactividad después de 20 segundos', 'warning');
-          }
-        }, this.sessionTimeoutDuration);
-      }
+    if (formData.get('archivarActual') && anterior && anterior.estado !== 'archivado') {
+      await this.setEventoEstado(anterior.id, 'archivado', false);
     }
+
+    e.target.reset();
+    this.selectEvento(evento.id);
+    this.updateEventosTable();
+    this.renderEventoCategorias();
+
+    Utils.showNotification(synced ? 'Edición creada exitosamente' : 'Edición creada localmente; se sincronizará al recuperar la conexión', synced ? 'success' : 'warning');
   }
 
-  logout(type, reason = 'manual') {
-    AuthManager.logout(type);
+  async setEventoEstado(eventoId, estado, confirmar = true) {
+    if (!this.requirePermission('eventos.gestionar')) return;
 
-    // Limpiar credenciales del módulo específico
-    this.clearModuleCredentials(type);
+    const evento = this.eventos.find(e => e.id === eventoId);
+    if (!evento) return;
 
-    if (type === 'evaluacion') {
-      this.checkEvaluacionAccess();
-      this.resetEvaluationForm();
-    } else if (type === 'administracion') {
-      this.checkAdminAccess();
-    } else if (type === 'registro') {
-      this.checkRegistroAccess();
-    } else if (type === 'resultados') {
-      this.checkResultadosAccess();
+    if (confirmar && estado === 'archivado' &&
+      !confirm(`¿Archivar "${evento.nombre}"? Sus resultados seguirán disponibles, pero ya no admitirá registros ni evaluaciones.`)) {
+      return;
     }
 
-    if (this.sessionTimeout) {
-      clearTimeout(this.sessionTimeout);
-      this.sessionTimeout = null;
+    const actualizado = { ...evento, estado };
+    if (estado === 'archivado') {
+      actualizado.fechaArchivo = new Date().toISOString();
     }
+    this.eventos = this.eventos.map(e => e.id === eventoId ? actualizado : e);
+    await this.saveData({ action: 'update', collection: 'eventos', record: actualizado });
 
-    if (reason === 'manual') {
-      Utils.showNotification('Sesión cerrada', 'info');
+    this.updateAllUI();
+    if (confirmar) {
+      Utils.showNotification(estado === 'archivado' ? 'Evento archivado' : 'Evento reactivado', 'success');
     }
   }
 
-  updateEvaluationSelects() {
-    const juradoSelect = document.getElementById('juradoSelect');
-    const tatuadorSelect = document.getElementById('tatuadorSelect');
+  updateCategoriasTable() {
+    const tbody = document.getElementById('categoriasTable');
+    if (!tbody) return;
 
-    if (juradoSelect) {
-      juradoSelect.innerHTML = '<option value="">Selecciona un jurado</option>';
-      this.jurados.forEach(jurado => {
-        juradoSelect.innerHTML += `<option value="${jurado.id}">${jurado.nombre}</option>`;
-      });
-    }
+    const editable = this.isEventoEditable();
+    const ultima = this.categorias.length - 1;
 
-    if (tatuadorSelect) {
-      tatuadorSelect.innerHTML = '<option value="">Selecciona un tatuador</option>';
-      this.tatuadores.forEach(tatuador => {
-        tatuadorSelect.innerHTML += `<option value="${tatuador.id}">${tatuador.nombre} (${Utils.formatCategoryName(tatuador.categoria)})</option>`;
-      });
-    }
+    tbody.innerHTML = this.categorias.map((categoria, index) => {
+      const activa = categoria.activa !== false;
+      const inscritos = this.eventRecords('piezas').filter(p => p.categoria === categoria.id).length;
 
-    // Agregar información visual sobre restricciones
-    this.updateEvaluationRestrictions();
+      return `
+        <tr data-categoria-id="${categoria.id}">
+          <td>${index + 1}</td>
+          <td><input type="text" class="form-control" value="${Utils.escapeHTML(categoria.nombre)}" ${editable ? '' : 'disabled'}></td>
+          <td>${inscritos}</td>
+          <td>${activa ? 'Activa' : 'Retirada'}</td>
+          <td class="actions-cell">
+            <button class="btn btn-sm btn-primary" title="Guardar nombre" onclick="app.renameCategoria('${categoria.id}')" ${editable ? '' : 'disabled'}>
+              <i class="fas fa-save"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" title="Subir" onclick="app.moveCategoria('${categoria.id}', -1)" ${editable && index > 0 ? '' : 'disabled'}>
+              <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" title="Bajar" onclick="app.moveCategoria('${categoria.id}', 1)" ${editable && index < ultima ? '' : 'disabled'}>
+              <i class="fas fa-arrow-down"></i>
+            </button>
+            <button class="btn btn-sm ${activa ? 'btn-danger' : 'btn-primary'}" title="${activa ? 'Retirar' : 'Reactivar'}" onclick="app.toggleCategoria('${categoria.id}')" ${editable ? '' : 'disabled'}>
+              <i class="fas ${activa ? 'fa-archive' : 'fa-box-open'}"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    }).join('');
   }
 
-  // Método para mostrar información sobre evaluaciones ya realizadas
-  updateEvaluationRestrictions() {
-    const restrictionsContainer = document.getElementById('evaluationRestrictions');
-    if (!restrictionsContainer) return;
+  // Aplica un cambio sobre una copia de las categorías y criterios del evento y lo sincroniza con saveData()
+  async saveEventoConfig(cambiar) {
+    const categorias = this.categorias.map(categoria => ({ ...categoria }));
+    const criterios = { ...this.criteriosPorCategoria };
+    const evento = { ...this.evento, categorias, criterios };
+    cambiar(categorias, criterios, evento);
 
-    if (this.evaluaciones.length === 0) {
-      restrictionsContainer.innerHTML = '<p class="text-muted">No hay evaluaciones previas registradas.</p>';
+    this.eventos = this.eventos.map(e => e.id === evento.id ? evento : e);
+    await this.saveData({ action: 'update', collection: 'eventos', record: evento });
+    this.updateAllUI();
+  }
+
+  async handleCategoriaSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
+    const formData = new FormData(e.target);
+
+    const nombre = formData.get('nombre').trim();
+    const base = Utils.slugify(nombre);
+
+    if (!base) {
+      Utils.showNotification('El nombre de la categoría no es válido', 'error');
       return;
     }
 
-    // Agrupar evaluaciones por jurado
-    const evaluacionesPorJurado = {};
-    this.evaluaciones.forEach(evaluacion => {
-      if (!evaluacionesPorJurado[evaluacion.jurado]) {
-        evaluacionesPorJurado[evaluacion.jurado] = [];
-      }
-      evaluacionesPorJurado[evaluacion.jurado].push({
-        tatuador: evaluacion.tatuador,
-        categoria: evaluacion.categoria
-      });
-    });
+    if (this.categorias.some(c => c.nombre.toLowerCase() === nombre.toLowerCase())) {
+      Utils.showNotification('Ya existe una categoría con ese nombre', 'error');
+      return;
+    }
 
-    let restrictionsHtml = '<div class="restrictions-info"><h5>Evaluaciones Realizadas:</h5>';
-    Object.entries(evaluacionesPorJurado).forEach(([jurado, evaluaciones]) => {
-      restrictionsHtml += `<div class="jurado-restrictions">
-        <strong>${jurado}:</strong>
-        <ul class="evaluaciones-list">`;
-      evaluaciones.forEach(evaluation => {
-        restrictionsHtml += `<li>${evaluation.tatuador} - ${Utils.formatCategoryName(evaluation.categoria)}</li>`;
-      });
-      restrictionsHtml += '</ul></div>';
+    // El identificador se conserva aunque la categoría se renombre más adelante
+    let id = base;
+    for (let n = 2; this.categorias.some(c => c.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    await this.saveEventoConfig((categorias, criterios) => {
+      categorias.push({ id, nombre, activa: true });
+      criterios[id] = this.criteriosBase.map(criterio => ({ ...criterio }));
     });
-    restrictionsHtml += '</div>';
 
-    restrictionsContainer.innerHTML = restrictionsHtml;
+    e.target.reset();
+    Utils.showNotification(`Categoría ${nombre} creada`, 'success');
   }
 
-  updateEvaluationForm() {
-    const juradoId = document.getElementById('juradoSelect').value;
-    const tatuadorId = document.getElementById('tatuadorSelect').value;
-    const evaluacionForm = document.getElementById('evaluacionForm');
+  async renameCategoria(id) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
 
-    if (juradoId && tatuadorId) {
-      const jurado = this.jurados.find(j => j.id === juradoId);
-      const tatuador = this.tatuadores.find(t => t.id === tatuadorId);
+    const input = document.querySelector(`#categoriasTable tr[data-categoria-id="${id}"] input`);
+    const nombre = input ? input.value.trim() : '';
 
-      // Verificar restricción de evaluación duplicada
-      const evaluacionExistente = this.evaluaciones.find(e => 
-        e.juradoId === juradoId && 
-        e.tatuadorId === tatuadorId && 
-        e.categoria === tatuador.categoria
-      );
+    if (!nombre) {
+      Utils.showNotification('El nombre de la categoría no puede estar vacío', 'error');
+      return;
+    }
 
-      if (evaluacionExistente) {
-        // Mostrar advertencia y no permitir evaluación
-        evaluacionForm.classList.add('hidden');
-        Utils.showNotification(`Restricción: El jurado ${jurado.nombre} ya evaluó a ${tatuador.nombre} en ${Utils.formatCategoryName(tatuador.categoria)}. Seleccione una combinación diferente.`, 'warning', 8000);
+    if (this.categorias.some(c => c.id !== id && c.nombre.toLowerCase() === nombre.toLowerCase())) {
+      Utils.showNotification('Ya existe una categoría con ese nombre', 'error');
+      return;
+    }
+
+    await this.saveEventoConfig(categorias => {
+      categorias.find(c => c.id === id).nombre = nombre;
+    });
+    Utils.showNotification('Categoría renombrada', 'success');
+  }
+
+  async moveCategoria(id, offset) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
+
+    const index = this.categorias.findIndex(c => c.id === id);
+    const destino = index + offset;
+    if (index === -1 || destino < 0 || destino >= this.categorias.length) return;
+
+    await this.saveEventoConfig(categorias => {
+      const [categoria] = categorias.splice(index, 1);
+      categorias.splice(destino, 0, categoria);
+    });
+  }
+
+  // Retirar no elimina la categoría: sus tatuadores y evaluaciones se conservan
+  async toggleCategoria(id) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
+
+    const categoria = this.categorias.find(c => c.id === id);
+    if (!categoria) return;
+
+    const retirar = categoria.activa !== false;
+    if (retirar) {
+      if (this.categoriasActivas.length === 1) {
+        Utils.showNotification('El evento debe tener al menos una categoría activa', 'error');
         return;
       }
+      if (!confirm(`¿Retirar la categoría ${categoria.nombre}? No admitirá nuevas inscripciones, pero sus resultados se conservan.`)) {
+        return;
+      }
+    }
 
-      document.getElementById('selectedJuradoName').textContent = jurado.nombre;
-      document.getElementById('selectedTatuadorName').textContent = tatuador.nombre;
-      document.getElementById('selectedCategoria').textContent = Utils.formatCategoryName(tatuador.categoria);
+    await this.saveEventoConfig(categorias => {
+      categorias.find(c => c.id === id).activa = !retirar;
+    });
+    Utils.showNotification(retirar ? 'Categoría retirada' : 'Categoría reactivada', 'success');
+  }
 
-      const criteriosContainer = document.getElementById('criteriosContainer');
-      criteriosContainer.innerHTML = '';
+  // Editor de criterios: se redibuja al cambiar de categoría o de evento, no con cada sincronización
+  updateCriteriosEditor() {
+    const select = document.getElementById('criteriosCategoria');
+    const tbody = document.getElementById('criteriosTable');
+    if (!select || !tbody) return;
 
-      const criterios = this.criteriosPorCategoria[tatuador.categoria] || [];
+    const selected = select.value;
+    select.innerHTML = this.categorias
+      .map(categoria => `<option value="${Utils.escapeHTML(categoria.id)}">${Utils.escapeHTML(categoria.nombre)}</option>`)
+      .join('');
+    select.value = this.categorias.some(c => c.id === selected) ? selected : (this.categorias[0] || {}).id || '';
 
-      criterios.forEach(criterio => {
-        const criterioDiv = document.createElement('div');
-        criterioDiv.className = 'criterio-item';
+    tbody.innerHTML = this.criteriosDe(select.value).map(criterio => this.renderCriterioRow(criterio)).join('');
+    this.updateReglasEstado();
+  }
 
-        let scoreButtons = '';
-        for (let i = 0; i <= 100; i++) {
-          const value = (i * 0.1).toFixed(2);
-          scoreButtons += `<button type="button" class="criterio-btn" data-value="${value}" data-criterio="${criterio}">${value}</button>`;
-        }
+  updateReglasEstado() {
+    const estado = document.getElementById('reglasEstado');
+    const bloqueoBtn = document.getElementById('reglasBloqueoBtn');
+    const migrarBtn = document.getElementById('reglasMigrarBtn');
+    if (!estado) return;
+
+    const evaluaciones = this.eventRecords('evaluaciones').length;
+    const desactualizadas = this.evaluacionesDesactualizadas().length;
+
+    const categoria = document.getElementById('criteriosCategoria')?.value;
+    let texto = categoria
+      ? `Reglas de ${Utils.formatCategoryName(categoria)}: versión ${this.reglasVersionDe(categoria)}`
+      : 'Reglas de puntuación';
+    if (this.reglasBloqueadas) {
+      texto += ' · bloqueadas';
+    } else if (evaluaciones > 0) {
+      texto += ' · ya hay evaluaciones: bloquea las reglas para que no cambien durante la competición';
+    }
+    if (desactualizadas > 0) {
+      texto += ` · ${desactualizadas} evaluación(es) con reglas anteriores`;
+    }
+    estado.textContent = texto;
 
-        criterioDiv.innerHTML = `
-          <div class="criterio-header">
-            <label class="criterio-label">
-              <i class="fas fa-star"></i>
-              <span>${criterio.toUpperCase()}</span>
-            </label>
-            <div class="criterio-value" id="value-${criterio}">0.00</div>
-          </div>
-          <div class="criterio-controls">
-            ${scoreButtons}
-          </div>
-          <input type="hidden" name="${criterio}" class="criterio-input" value="0" required>
-        `;
-        criteriosContainer.appendChild(criterioDiv);
-      });
+    if (bloqueoBtn) {
+      bloqueoBtn.innerHTML = this.reglasBloqueadas
+        ? '<i class="fas fa-lock-open"></i><span>Desbloquear Reglas</span>'
+        : '<i class="fas fa-lock"></i><span>Bloquear Reglas</span>';
+      bloqueoBtn.disabled = !this.isEventoEditable() || (!this.reglasBloqueadas && evaluaciones === 0);
+    }
+    if (migrarBtn) {
+      migrarBtn.classList.toggle('hidden', desactualizadas === 0);
+      migrarBtn.disabled = !this.isEventoEditable();
+    }
+  }
 
-      document.querySelectorAll('.criterio-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          this.resetActivityTimeout();
-          const criterio = e.target.dataset.criterio;
-          const value = e.target.dataset.value;
+  renderCriterioRow(criterio = { id: '', nombre: '', peso: 1, min: 0.1, max: 10, paso: 0.1 }) {
+    const disabled = this.isEventoEditable() && !this.reglasBloqueadas ? '' : 'disabled';
+    return `
+      <tr data-criterio-id="${Utils.escapeHTML(criterio.id)}">
+        <td><input type="text" class="form-control" name="nombre" value="${Utils.escapeHTML(criterio.nombre)}" ${disabled}></td>
+        <td><input type="number" class="form-control" name="peso" value="${criterio.peso}" min="0" step="0.1" ${disabled}></td>
+        <td><input type="number" class="form-control" name="min" value="${criterio.min}" step="0.1" ${disabled}></td>
+        <td><input type="number" class="form-control" name="max" value="${criterio.max}" step="0.1" ${disabled}></td>
+        <td><input type="number" class="form-control" name="paso" value="${criterio.paso}" min="0" step="0.01" ${disabled}></td>
+        <td class="actions-cell">
+          <button class="btn btn-sm btn-danger" title="Quitar criterio" onclick="this.closest('tr').remove()" ${disabled}>
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `;
+  }
 
-          document.querySelectorAll(`[data-criterio="${criterio}"]`).forEach(b => {
-            b.classList.remove('active');
-          });
+  addCriterioRow() {
+    if (!this.requireEditableEvento() || !this.requireReglasDesbloqueadas()) return;
+    document.getElementById('criteriosTable')?.insertAdjacentHTML('beforeend', this.renderCriterioRow());
+  }
 
-          e.target.classList.add('active');
+  requireReglasDesbloqueadas() {
+    if (!this.reglasBloqueadas) {
+      return true;
+    }
+    Utils.showNotification('Las reglas de puntuación están bloqueadas. Desbloquéalas para modificarlas.', 'error');
+    return false;
+  }
 
-          document.querySelector(`input[name="${criterio}"]`).value = value;
-          document.getElementById(`value-${criterio}`).textContent = value;
+  async saveCriterios() {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento() || !this.requireReglasDesbloqueadas()) return;
+
+    const categoria = document.getElementById('criteriosCategoria').value;
+    const rows = Array.from(document.querySelectorAll('#criteriosTable tr[data-criterio-id]'));
+    const criterios = [];
+
+    for (const row of rows) {
+      const field = name => row.querySelector(`[name="${name}"]`).value;
+      const criterio = {
+        id: row.dataset.criterioId,
+        nombre: field('nombre').trim(),
+        peso: parseFloat(field('peso')),
+        min: parseFloat(field('min')),
+        max: parseFloat(field('max')),
+        paso: parseFloat(field('paso'))
+      };
 
-          this.updatePromedioTotal();
-        });
-      });
+      if (!criterio.nombre) {
+        Utils.showNotification('Todos los criterios necesitan un nombre', 'error');
+        return;
+      }
+      if (!(criterio.peso > 0)) {
+        Utils.showNotification(`El peso de ${criterio.nombre} debe ser mayor que 0`, 'error');
+        return;
+      }
+      if (!(criterio.min >= 0) || !(criterio.max > criterio.min) || !(criterio.paso > 0)) {
+        Utils.showNotification(`Revisa el rango de ${criterio.nombre}: el máximo debe superar al mínimo y el paso ser mayor que 0`, 'error');
+        return;
+      }
 
-      evaluacionForm.classList.remove('hidden');
-      this.updatePromedioTotal();
-    } else {
-      evaluacionForm.classList.add('hidden');
+      // El rango debe recorrerse en pasos exactos y con un número manejable de botones
+      const pasos = (criterio.max - criterio.min) / criterio.paso;
+      if (Math.abs(pasos - Math.round(pasos)) > 1e-6 || pasos > 200) {
+        Utils.showNotification(`El paso de ${criterio.nombre} debe dividir el rango en como máximo 200 partes iguales`, 'error');
+        return;
+      }
+
+      // Los criterios nuevos obtienen un identificador estable a partir de su nombre
+      if (!criterio.id) {
+        const base = Utils.slugify(criterio.nombre) || 'criterio';
+        criterio.id = base;
+        for (let n = 2; criterios.some(c => c.id === criterio.id) || rows.some(r => r.dataset.criterioId === criterio.id); n++) {
+          criterio.id = `${base}-${n}`;
+        }
+      }
+
+      if (criterios.some(c => c.nombre.toLowerCase() === criterio.nombre.toLowerCase())) {
+        Utils.showNotification(`El criterio ${criterio.nombre} está repetido`, 'error');
+        return;
+      }
+      criterios.push(criterio);
+    }
+
+    if (criterios.length === 0) {
+      Utils.showNotification('La categoría debe tener al menos un criterio', 'error');
+      return;
     }
+
+    // Cambiar criterios ya usados crea una nueva versión de las reglas de la categoría;
+    // la anterior se conserva en el historial
+    const usados = this.eventRecords('evaluaciones').some(e => e.categoria === categoria);
+    const version = this.reglasVersionDe(categoria);
+    if (usados && !confirm(`Ya hay evaluaciones en ${Utils.formatCategoryName(categoria)}. Se creará la versión ${version + 1} de sus reglas y las evaluaciones existentes quedarán con la versión anterior, sin contar en los resultados, hasta que las recalcules. ¿Continuar?`)) {
+      return;
+    }
+
+    const anterior = { categoria, version, criterios: this.criteriosDe(categoria), hasta: new Date().toISOString() };
+    await this.saveEventoConfig((categorias, configuracion, evento) => {
+      configuracion[categoria] = criterios;
+      if (usados) {
+        evento.reglasVersiones = { ...(evento.reglasVersiones || {}), [categoria]: version + 1 };
+        evento.reglasHistorial = [...(evento.reglasHistorial || []), anterior];
+      }
+    });
+    this.updateCriteriosEditor();
+    Utils.showNotification(`Criterios de ${Utils.formatCategoryName(categoria)} guardados`, 'success');
   }
 
-  updatePromedioTotal() {
-    const criteriosInputs = document.querySelectorAll('.criterio-input');
-    let total = 0;
-    let count = 0;
+  async toggleReglasBloqueo() {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
+
+    const bloquear = !this.reglasBloqueadas;
+    if (bloquear && this.eventRecords('evaluaciones').length === 0) {
+      Utils.showNotification('Las reglas se bloquean una vez recibida la primera evaluación', 'info');
+      return;
+    }
+    if (!bloquear && !confirm('¿Desbloquear las reglas de puntuación? Los cambios en criterios con evaluaciones crearán una nueva versión que habrá que recalcular.')) {
+      return;
+    }
 
-    criteriosInputs.forEach(input => {
-      const value = parseFloat(input.value) || 0;
-      total += value;
-      count++;
+    await this.saveEventoConfig((categorias, criterios, evento) => {
+      evento.reglasBloqueadas = bloquear;
     });
+    this.updateCriteriosEditor();
+    Utils.showNotification(bloquear ? 'Reglas de puntuación bloqueadas' : 'Reglas de puntuación desbloqueadas', bloquear ? 'success' : 'warning');
+  }
 
-    const promedio = count > 0 ? (total / count).toFixed(2) : '0.00';
-    const promedioElement = document.getElementById('promedioTotal');
-    if (promedioElement) {
-      promedioElement.textContent = promedio;
+  updateConsolidacionInfo() {
+    const estrategia = this.consolidacion;
+    const normalizada = this.normalizacion === 'zscore' ? ' Puntuaciones normalizadas por jurado (z-score).' : '';
+    document.querySelectorAll('.consolidacion-info').forEach(info => {
+      info.textContent = `Puntuación consolidada: ${estrategia.label}. ${estrategia.description}.${normalizada}`;
+    });
+
+    const normalizacionSelect = document.getElementById('normalizacionSelect');
+    if (normalizacionSelect) {
+      normalizacionSelect.value = this.normalizacion;
+      normalizacionSelect.disabled = !this.isEventoEditable() || this.reglasBloqueadas;
+    }
+
+    const select = document.getElementById('consolidacionSelect');
+    if (select) {
+      select.innerHTML = Object.values(ScoreConsolidation.strategies)
+        .map(s => `<option value="${s.id}">${s.label}</option>`)
+        .join('');
+      select.value = estrategia.id;
+      select.disabled = !this.isEventoEditable() || this.reglasBloqueadas;
+    }
+
+    const descripcion = document.getElementById('consolidacionDescripcion');
+    if (descripcion) {
+      descripcion.textContent = this.reglasBloqueadas
+        ? `${estrategia.description}. Bloqueada junto con las reglas de puntuación.`
+        : `${estrategia.description}.`;
     }
   }
 
-  resetEvaluationForm() {
-    document.getElementById('juradoSelect').value = '';
-    document.getElementById('tatuadorSelect').value = '';
-    document.getElementById('evaluacionForm').classList.add('hidden');
-    document.getElementById('criteriosContainer').innerHTML = '';
-    document.getElementById('promedioTotal').textContent = '0.00';
+  async setConsolidacion(estrategiaId) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento() || !this.requireReglasDesbloqueadas()) {
+      this.updateConsolidacionInfo();
+      return;
+    }
 
-    document.querySelectorAll('.criterio-btn.active').forEach(btn => {
-      btn.classList.remove('active');
+    await this.saveEventoConfig((categorias, criterios, evento) => {
+      evento.consolidacion = estrategiaId;
     });
+    Utils.showNotification(`Resultados consolidados con: ${this.consolidacion.label}`, 'success');
   }
 
-  updateResultadosUI() {
-    const tableBody = document.getElementById('resultadosTableBody');
-    const categoriaFilter = document.getElementById('categoriaFilter').value;
+  async setNormalizacion(modo) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento() || !this.requireReglasDesbloqueadas()) {
+      this.updateConsolidacionInfo();
+      return;
+    }
 
-    const consolidatedScores = this.calculateConsolidatedScores();
+    await this.saveEventoConfig((categorias, criterios, evento) => {
+      evento.normalizacion = modo;
+    });
+    Utils.showNotification(modo === 'zscore' ? 'Puntuaciones normalizadas por jurado' : 'Normalización desactivada', 'success');
+  }
 
-    let resultadosFiltrados = consolidatedScores;
-    if (categoriaFilter) {
-      resultadosFiltrados = consolidatedScores.filter(r => r.categoria === categoriaFilter);
+  updateCalibracionTable() {
+    const tbody = document.getElementById('calibracionTable');
+    if (!tbody) return;
+
+    // Una calibración por categoría, como la que se aplica al normalizar
+    const categorias = this.categorias
+      .map(categoria => ({ categoria, ...this.calibracionJurados(categoria.id) }))
+      .filter(({ panel }) => panel.evaluaciones > 0);
+
+    const panelInfo = document.getElementById('calibracionPanel');
+    if (panelInfo) {
+      const paneles = categorias
+        .map(({ categoria, panel }) => `${categoria.nombre}: media ${panel.media.toFixed(2)}, dispersión ${panel.desviacion.toFixed(2)}`)
+        .join('; ');
+      panelInfo.textContent = `Panel por categoría (evaluaciones vigentes). ${paneles ? `${paneles}. ` : ''}` +
+        (this.normalizacion === 'zscore'
+          ? 'Los resultados se normalizan con estas cifras.'
+          : 'Activa la normalización en Configuración para compensar estas diferencias.');
     }
 
-    resultadosFiltrados.sort((a, b) => b.puntuacionConsolidada - a.puntuacionConsolidada);
+    const lista = categorias.flatMap(({ categoria, jurados }) => Object.values(jurados)
+      .sort((a, b) => b.diferencia - a.diferencia)
+      .map(jurado => ({ ...jurado, categoria })));
+    if (lista.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="5">No hay evaluaciones realizadas</td></tr>';
+      return;
+    }
 
-    if (resultadosFiltrados.length === 0) {
-      tableBody.innerHTML = `
-        <tr class="no-data">
-          <td colspan="7">
-            <i class="fas fa-info-circle"></i>
-            <span>No hay evaluaciones disponibles</span>
-          </td>
+    tbody.innerHTML = lista.map(jurado => {
+      const signo = jurado.diferencia > 0 ? '+' : '';
+      return `
+        <tr>
+          <td>${Utils.escapeHTML(jurado.jurado)} <small class="text-muted">(${Utils.escapeHTML(jurado.categoria.nombre)})</small></td>
+          <td>${jurado.evaluaciones}</td>
+          <td>${jurado.media.toFixed(2)}</td>
+          <td>${jurado.desviacion.toFixed(2)}</td>
+          <td>${signo}${jurado.diferencia.toFixed(2)}${jurado.evaluaciones < 2 ? ' <small class="text-muted">(sin calibrar)</small>' : ''}</td>
         </tr>
       `;
-    } else {
-      tableBody.innerHTML = resultadosFiltrados.map((resultado, index) => {
-        const ranking = index + 1;
-        let medalIcon = '';
-
-        if (ranking === 1) medalIcon = '<i class="fas fa-trophy" style="color: #FFD700;"></i>';
-        else if (ranking === 2) medalIcon = '<i class="fas fa-medal" style="color: #C0C0C0;"></i>';
-        else if (ranking === 3) medalIcon = '<i class="fas fa-medal" style="color: #CD7F32;"></i>';
+    }).join('');
+  }
 
-        // Calcular promedio general por tatuador en la categoría
-        const promedioGeneral = (resultado.puntuacionConsolidada / resultado.numeroEvaluaciones).toFixed(2);
+  // Reglas de desempate disponibles: la nota media de cada criterio del evento y la del presidente del jurado
+  reglasDesempateDisponibles() {
+    const reglas = {};
+    Object.values(this.criteriosPorCategoria).forEach(criterios => {
+      criterios.forEach(criterio => {
+        const id = `criterio:${criterio.id}`;
+        if (!reglas[id]) reglas[id] = { id, label: `Mayor nota en ${criterio.nombre}` };
+      });
+    });
+    reglas.presidente = { id: 'presidente', label: 'Puntuación del presidente del jurado' };
+    return reglas;
+  }
 
-        return `
-          <tr class="result-row ranking-${ranking}">
-            <td class="ranking-cell">
-              <div class="ranking-display">
-                ${medalIcon}
-                <span class="ranking-number">#${ranking}</span>
-              </div>
-            </td>
-            <td class="tattoo-artist-cell">
-              <div class="artist-info">
-                <span class="artist-name">${resultado.tatuador}</span>
-              </div>
-            </td>
-            <td class="category-cell">
-              <span class="category-badge">${Utils.formatCategoryName(resultado.categoria)}</span>
-            </td>
-            <td class="score-cell">
-              <div class="score-display">
-                <span class="score-value">${resultado.puntuacionConsolidada.toFixed(2)}</span>
-                <div class="score-breakdown">
-                  <small>${resultado.numeroEvaluaciones} evaluaciones</small>
-                </div>
-              </div>
-            </td>
-            <td class="average-cell">
-              <div class="average-display">
-                <span class="average-value">${promedioGeneral}</span>
-                <div class="average-label">
-                  <small>Promedio por evaluación</small>
-                </div>
-              </div>
-            </td>
-            <td class="judge-cell">${resultado.jurados.join(', ')}</td>
-            <td class="date-cell">${new Date(resultado.fechaUltimaEvaluacion).toLocaleDateString()}</td>
-          </tr>
-        `;
-      }).join('');
-    }
+  desempateLabel(regla) {
+    const disponible = this.reglasDesempateDisponibles()[regla];
+    return disponible ? disponible.label : regla;
   }
 
-  calculateConsolidatedScores() {
-    const groupedEvaluations = {};
+  // Valor de un resultado consolidado para una regla de desempate; null si no tiene puntuación para ella
+  valorDesempate(resultado, regla) {
+    if (regla === 'presidente') {
+      const evaluacion = resultado.evaluaciones.find(e => e.juradoId && e.juradoId === this.presidenteJuradoId);
+      return evaluacion ? evaluacion.puntuacionTotal : null;
+    }
 
-    this.evaluaciones.forEach(evaluacion => {
-      const key = `${evaluacion.tatuadorId}_${evaluacion.categoria}`;
+    const criterioId = regla.replace(/^criterio:/, '');
+    const valores = resultado.evaluaciones
+      .map(e => e.criterios && e.criterios[criterioId])
+      .filter(valor => typeof valor === 'number');
+    return valores.length ? ScoreConsolidation.mean(valores) : null;
+  }
 
-      if (!groupedEvaluations[key]) {
-        groupedEvaluations[key] = {
-          tatuador: evaluacion.tatuador,
-          categoria: evaluacion.categoria,
-          evaluaciones: [],
-          jurados: new Set()
-        };
+  // Ordena los resultados por puntuación consolidada aplicando las reglas de desempate en orden.
+  // Quien no tiene puntuación para una regla queda por detrás; los que siguen empatados tras todas
+  // las reglas comparten posición (1, 2, 2, 4) y se listan por nombre.
+  rankResultados(resultados) {
+    const reglas = this.desempate;
+    const puntuacion = resultado => resultado.puntuacionConsolidada.toFixed(2);
+    const mismaPuntuacion = (a, b) => !!a && !!b && puntuacion(a) === puntuacion(b);
+    const redondear = valor => valor === null ? null : Number(valor.toFixed(2));
+
+    // Primera regla que separa a dos resultados con la misma puntuación, o null si siguen empatados
+    const decidir = (a, b) => {
+      for (const regla of reglas) {
+        const valorA = redondear(this.valorDesempate(a, regla));
+        const valorB = redondear(this.valorDesempate(b, regla));
+        if (valorA === valorB) continue;
+        const diferencia = (valorB === null ? -Infinity : valorB) - (valorA === null ? -Infinity : valorA);
+        return { regla, diferencia, valores: [valorA, valorB] };
       }
+      return null;
+    };
 
-      groupedEvaluations[key].evaluaciones.push(evaluacion);
-      groupedEvaluations[key].jurados.add(evaluacion.jurado);
+    const ordenados = [...resultados].sort((a, b) => {
+      if (!mismaPuntuacion(a, b)) return b.puntuacionConsolidada - a.puntuacionConsolidada;
+      const decision = decidir(a, b);
+      return decision ? decision.diferencia : a.tatuador.localeCompare(b.tatuador);
     });
 
-    const consolidatedResults = [];
+    const formatear = valor => valor === null ? 'sin puntuación' : valor.toFixed(2);
+    const ranking = [];
 
-    Object.values(groupedEvaluations).forEach(group => {
-      let totalScore = 0;
-      group.evaluaciones.forEach(evaluacion => {
-        totalScore += evaluacion.puntuacionTotal;
-      });
+    ordenados.forEach((resultado, index) => {
+      const anterior = ordenados[index - 1];
+      const siguiente = ordenados[index + 1];
+      const conAnterior = mismaPuntuacion(anterior, resultado) ? decidir(anterior, resultado) : undefined;
+      const conSiguiente = mismaPuntuacion(resultado, siguiente) ? decidir(resultado, siguiente) : undefined;
 
-      const numeroEvaluaciones = group.evaluaciones.length;
-      const fechaMasReciente = group.evaluaciones
-        .sort((a, b) => new Date(b.fecha) - new Date(a.fecha))[0].fecha;
+      let desempate = '';
+      if (conAnterior) {
+        desempate = `Desempate por ${this.desempateLabel(conAnterior.regla)}: ${formatear(conAnterior.valores[1])} frente a ${formatear(conAnterior.valores[0])}`;
+      } else if (conSiguiente) {
+        desempate = `Desempate por ${this.desempateLabel(conSiguiente.regla)}: ${formatear(conSiguiente.valores[0])} frente a ${formatear(conSiguiente.valores[1])}`;
+      }
 
-      consolidatedResults.push({
-        tatuador: group.tatuador,
-        categoria: group.categoria,
-        puntuacionConsolidada: totalScore,
-        numeroEvaluaciones: numeroEvaluaciones,
-        jurados: Array.from(group.jurados),
-        fechaUltimaEvaluacion: fechaMasReciente
+      ranking.push({
+        ...resultado,
+        posicion: conAnterior === null ? ranking[index - 1].posicion : index + 1,
+        empate: conAnterior === null || conSiguiente === null,
+        desempate
       });
     });
 
-    return consolidatedResults;
+    return ranking;
   }
 
-  calculateCriteriaAverages(tatuador, categoria) {
-    const evaluaciones = this.evaluaciones.filter(evaluation => 
-      evaluation.tatuador === tatuador && evaluation.categoria === categoria
-    );
+  updateDesempateConfig() {
+    const editable = this.isEventoEditable() && !this.reglasBloqueadas;
+    const disponibles = this.reglasDesempateDisponibles();
+
+    const presidenteSelect = document.getElementById('presidenteSelect');
+    if (presidenteSelect) {
+      presidenteSelect.innerHTML = '<option value="">Sin presidente</option>' + this.eventRecords('jurados')
+        .map(jurado => `<option value="${jurado.id}">${jurado.nombre}</option>`)
+        .join('');
+      presidenteSelect.value = this.presidenteJuradoId;
+      presidenteSelect.disabled = !editable;
+    }
 
-    const criteriaAverages = {};
-    const criteriaNames = ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'];
+    const addSelect = document.getElementById('desempateAdd');
+    if (addSelect) {
+      addSelect.innerHTML = Object.values(disponibles)
+        .filter(regla => !this.desempate.includes(regla.id))
+        .map(regla => `<option value="${Utils.escapeHTML(regla.id)}">${Utils.escapeHTML(regla.label)}</option>`)
+        .join('');
+      addSelect.disabled = !editable || addSelect.options.length === 0;
+    }
+    const addBtn = document.getElementById('desempateAddBtn');
+    if (addBtn) addBtn.disabled = !editable || !addSelect || addSelect.options.length === 0;
 
-    criteriaNames.forEach(criterio => {
-      const values = evaluaciones.map(evaluation => evaluation.criterios[criterio] || 0);
-      if (values.length > 0) {
-        const average = values.reduce((sum, val) => sum + val, 0) / values.length;
-        criteriaAverages[criterio] = average;
-      }
+    const tbody = document.getElementById('desempateTable');
+    if (!tbody) return;
+
+    if (this.desempate.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="3">Sin reglas de desempate: los empates se muestran como posiciones compartidas</td></tr>';
+      return;
+    }
+
+    const ultima = this.desempate.length - 1;
+    tbody.innerHTML = this.desempate.map((regla, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${Utils.escapeHTML(this.desempateLabel(regla))}</td>
+        <td class="actions-cell">
+          <button class="btn btn-sm btn-secondary" title="Subir" onclick="app.moveDesempate(${index}, -1)" ${editable && index > 0 ? '' : 'disabled'}>
+            <i class="fas fa-arrow-up"></i>
+          </button>
+          <button class="btn btn-sm btn-secondary" title="Bajar" onclick="app.moveDesempate(${index}, 1)" ${editable && index < ultima ? '' : 'disabled'}>
+            <i class="fas fa-arrow-down"></i>
+          </button>
+          <button class="btn btn-sm btn-danger" title="Quitar" onclick="app.removeDesempate(${index})" ${editable ? '' : 'disabled'}>
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  // Las reglas de desempate y el presidente quedan fijos junto con las reglas de puntuación
+  async saveDesempate(cambiar) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento() || !this.requireReglasDesbloqueadas()) {
+      this.updateDesempateConfig();
+      return false;
+    }
+
+    await this.saveEventoConfig((categorias, criterios, evento) => {
+      evento.desempate = [...this.desempate];
+      cambiar(evento);
     });
+    return true;
+  }
 
-    return criteriaAverages;
+  async addDesempate() {
+    const regla = document.getElementById('desempateAdd')?.value;
+    if (!regla || this.desempate.includes(regla)) return;
+
+    if (await this.saveDesempate(evento => evento.desempate.push(regla))) {
+      Utils.showNotification(`Regla de desempate añadida: ${this.desempateLabel(regla)}`, 'success');
+    }
   }
 
-  updateAdminUI() {
-    this.updateTatuadoresTable();
-    this.updateJuradosTable();
-    this.updateEvaluacionesTable();
-    this.updateAdminStats();
+  async moveDesempate(index, offset) {
+    const destino = index + offset;
+    if (destino < 0 || destino >= this.desempate.length) return;
+
+    await this.saveDesempate(evento => {
+      const [regla] = evento.desempate.splice(index, 1);
+      evento.desempate.splice(destino, 0, regla);
+    });
   }
 
-  updateTatuadoresTable() {
-    const tbody = document.getElementById('tatuadoresTable');
-    if (!tbody) return;
+  async removeDesempate(index) {
+    if (await this.saveDesempate(evento => evento.desempate.splice(index, 1))) {
+      Utils.showNotification('Regla de desempate eliminada', 'success');
+    }
+  }
 
-    if (this.tatuadores.length === 0) {
+  async setPresidente(juradoId) {
+    if (await this.saveDesempate(evento => { evento.presidenteJuradoId = juradoId || null; })) {
+      Utils.showNotification(juradoId ? 'Presidente del jurado asignado' : 'Presidente del jurado retirado', 'success');
+    }
+  }
+
+  // Recalcula con las reglas vigentes las evaluaciones registradas con versiones anteriores.
+  // Solo es posible si la evaluación tiene puntuación válida para todos los criterios actuales
+  // y su categoría no se ha revisado ni publicado.
+  async migrarEvaluaciones() {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
+
+    const todas = this.evaluacionesDesactualizadas();
+    if (todas.length === 0) return;
+
+    const cerradas = [...new Set(todas.map(e => e.categoria))]
+      .filter(categoria => ['revisada', 'publicada'].includes(this.estadoCategoria(categoria)));
+    const desactualizadas = todas.filter(e => !cerradas.includes(e.categoria));
+    const aviso = cerradas.length > 0
+      ? `${todas.length - desactualizadas.length} evaluación(es) de ${cerradas.map(c => Utils.formatCategoryName(c)).join(', ')} no se recalcularán porque sus resultados ya se revisaron.`
+      : '';
+
+    if (desactualizadas.length === 0) {
+      Utils.showNotification(aviso, 'warning', 8000);
+      return;
+    }
+    if (!confirm(`Se recalculará la puntuación de ${desactualizadas.length} evaluación(es) con las reglas vigentes de su categoría. ${aviso} ¿Continuar?`)) {
+      return;
+    }
+
+    let migradas = 0;
+    for (const evaluacion of desactualizadas) {
+      const completa = this.criteriosDe(evaluacion.categoria).every(criterio => {
+        const valor = evaluacion.criterios[criterio.id];
+        return typeof valor === 'number' && valor >= criterio.min && valor <= criterio.max;
+      });
+      if (!completa) continue;
+
+      const actualizada = {
+        ...evaluacion,
+        puntuacionTotal: this.calculatePuntuacionTotal(evaluacion.categoria, evaluacion.criterios),
+        puntuacionAnterior: evaluacion.puntuacionTotal,
+        reglasVersion: this.reglasVersionDe(evaluacion.categoria),
+        migradaDesde: evaluacion.reglasVersion || 1
+      };
+      this.evaluaciones = this.evaluaciones.map(e => e.id === actualizada.id ? actualizada : e);
+      await this.saveData({ action: 'update', collection: 'evaluaciones', record: actualizada });
+      migradas++;
+    }
+
+    this.updateAllUI();
+    this.updateCriteriosEditor();
+
+    const pendientes = desactualizadas.length - migradas;
+    if (pendientes > 0) {
+      Utils.showNotification(`${migradas} evaluación(es) recalculadas. ${pendientes} no tienen puntuación para todos los criterios actuales y deben repetirse. ${aviso}`, 'warning', 8000);
+    } else if (aviso) {
+      Utils.showNotification(`${migradas} evaluación(es) recalculadas. ${aviso}`, 'warning', 8000);
+    } else {
+      Utils.showNotification(`${migradas} evaluación(es) recalculadas`, 'success');
+    }
+  }
+
+  // Registra al tatuador con su primera pieza; con un email ya registrado añade la pieza a ese tatuador
+  async handleTatuadorSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('registro.tatuadores') || !this.requireEditableEvento()) return;
+    const formData = new FormData(e.target);
+
+    const nombre = formData.get('nombre');
+    const email = formData.get('email');
+    const telefono = formData.get('telefono');
+
+    // Validation
+    if (!Utils.validateEmail(email)) {
+      Utils.showNotification('Por favor ingresa un email válido', 'error');
+      return;
+    }
+
+    if (!Utils.validatePhone(telefono)) {
+      Utils.showNotification('Por favor ingresa un teléfono válido', 'error');
+      return;
+    }
+
+    if (!this.categoriasActivas.some(c => c.id === formData.get('categoria'))) {
+      Utils.showNotification('Selecciona una categoría activa para la pieza', 'error');
+      return;
+    }
+
+    const fotos = await this.leerFotos(formData.getAll('fotos'));
+    if (!fotos) return;
+
+    let tatuador = this.eventRecords('tatuadores').find(t => t.email === email);
+    const existente = !!tatuador;
+
+    if (!tatuador) {
+      tatuador = {
+        id: Utils.generateId(),
+        eventoId: this.eventoId,
+        nombre,
+        email,
+        telefono,
+        fechaRegistro: new Date().toISOString()
+      };
+
+      this.tatuadores.push(tatuador);
+      this.saveData({ action: 'create', collection: 'tatuadores', record: tatuador });
+    }
+
+    const pieza = this.createPieza(tatuador, formData, fotos);
+    if (!pieza) return;
+
+    this.updateHomeStats();
+    this.updateAdminUI();
+    this.updateEvaluationSelects();
+
+    Utils.showNotification(existente
+      ? `Nueva pieza registrada para ${tatuador.nombre} en ${Utils.formatCategoryName(pieza.categoria)}`
+      : 'Tatuador registrado exitosamente', 'success');
+    e.target.reset();
+  }
+
+  // Crea una pieza del tatuador con los campos categoria, cliente, zona y sesiones del formulario
+  createPieza(tatuador, formData, fotos = []) {
+    const categoria = formData.get('categoria');
+    if (!this.categoriasActivas.some(c => c.id === categoria)) {
+      Utils.showNotification('Selecciona una categoría activa para la pieza', 'error');
+      return null;
+    }
+
+    const sesiones = parseInt(formData.get('sesiones'));
+    const pieza = {
+      id: Utils.generateId(),
+      eventoId: this.eventoId,
+      tatuadorId: tatuador.id,
+      categoria,
+      cliente: (formData.get('cliente') || '').trim(),
+      zona: (formData.get('zona') || '').trim(),
+      sesiones: sesiones > 0 ? sesiones : null,
+      fotos,
+      fechaRegistro: new Date().toISOString()
+    };
+
+    this.piezas.push(pieza);
+    this.saveData({ action: 'create', collection: 'piezas', record: pieza });
+    return pieza;
+  }
+
+  showPiezaModal(tatuadorId) {
+    const tatuador = this.tatuadores.find(t => t.id === tatuadorId);
+    if (!tatuador) return;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'piezaModal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>
+            <i class="fas fa-paint-brush"></i>
+            Nueva Pieza - ${tatuador.nombre}
+          </h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="modal-body">
+          <form id="piezaForm" class="config-form">
+            <div class="form-group">
+              <label for="piezaCategoria">Categoría</label>
+              <select id="piezaCategoria" name="categoria" class="form-control" required>
+                ${this.categoriasActivas.map(c => `<option value="${Utils.escapeHTML(c.id)}">${Utils.escapeHTML(c.nombre)}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="piezaCliente">Cliente / Lienzo</label>
+              <input type="text" id="piezaCliente" name="cliente" class="form-control">
+            </div>
+            <div class="form-group">
+              <label for="piezaZona">Zona del Cuerpo</label>
+              <input type="text" id="piezaZona" name="zona" class="form-control">
+            </div>
+            <div class="form-group">
+              <label for="piezaSesiones">Sesiones</label>
+              <input type="number" id="piezaSesiones" name="sesiones" class="form-control" min="1" max="100">
+            </div>
+            <div class="form-group">
+              <label for="piezaFotos">Fotos</label>
+              <input type="file" id="piezaFotos" name="fotos" class="form-control" accept="image/jpeg,image/png,image/webp" multiple>
+            </div>
+            <button type="submit" class="btn btn-primary">
+              <i class="fas fa-save"></i>
+              Registrar Pieza
+            </button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#piezaForm').addEventListener('submit', (e) => this.handlePiezaSubmit(e, tatuadorId));
+    document.body.appendChild(modal);
+  }
+
+  async handlePiezaSubmit(e, tatuadorId) {
+    e.preventDefault();
+    if (!this.requirePermission('registro.tatuadores') || !this.requireEditableEvento()) return;
+
+    const tatuador = this.tatuadores.find(t => t.id === tatuadorId);
+    if (!tatuador) return;
+
+    const formData = new FormData(e.target);
+    const fotos = await this.leerFotos(formData.getAll('fotos'));
+    if (!fotos) return;
+
+    const pieza = this.createPieza(tatuador, formData, fotos);
+    if (!pieza) return;
+
+    e.target.closest('.modal').remove();
+    this.updateAdminUI();
+    this.updateEvaluationSelects();
+    Utils.showNotification(`Pieza registrada en ${Utils.formatCategoryName(pieza.categoria)}`, 'success');
+  }
+
+  // Convierte los archivos elegidos en fotos `{ id, url, nombre, fecha }` con la imagen como data URL;
+  // el servidor las guarda como archivos al sincronizar la pieza. Devuelve null si alguna no es válida.
+  async leerFotos(files, actuales = 0) {
+    const imagenes = files.filter(file => file && file.size > 0);
+    if (actuales + imagenes.length > this.maxFotosPorPieza) {
+      Utils.showNotification(`Una pieza admite como máximo ${this.maxFotosPorPieza} fotos`, 'error');
+      return null;
+    }
+
+    const noAdmitida = imagenes.find(file => !['image/jpeg', 'image/png', 'image/webp'].includes(file.type));
+    if (noAdmitida) {
+      Utils.showNotification(`${noAdmitida.name}: solo se admiten fotos JPEG, PNG o WebP`, 'error');
+      return null;
+    }
+
+    let fotos;
+    try {
+      fotos = await Promise.all(imagenes.map(async file => ({
+        id: Utils.generateId(),
+        url: await Utils.readImage(file),
+        nombre: file.name,
+        fecha: new Date().toISOString()
+      })));
+    } catch (error) {
+      Utils.showNotification(error.message, 'error');
+      return null;
+    }
+
+    const tamano = fotos.reduce((total, foto) => total + foto.url.length, 0);
+    if (OfflineQueue.storedSize + tamano > this.maxColaConFotos) {
+      Utils.showNotification('No queda espacio en el dispositivo para más fotos pendientes de subir. Espera a que se sincronicen los cambios o añade menos fotos.', 'error', 8000);
+      return null;
+    }
+    return fotos;
+  }
+
+  // Miniatura de la primera foto de la pieza; abre la galería
+  renderFotoThumb(pieza) {
+    const fotos = pieza.fotos || [];
+    if (fotos.length === 0) {
+      return `
+        <button type="button" class="foto-thumb foto-vacia" title="Fotos de la pieza" data-pieza-id="${Utils.escapeHTML(pieza.id)}" onclick="app.showGaleria(this.dataset.piezaId)">
+          <i class="fas fa-camera"></i>
+        </button>
+      `;
+    }
+
+    return `
+      <button type="button" class="foto-thumb" title="Ver ${fotos.length} foto(s)" data-pieza-id="${Utils.escapeHTML(pieza.id)}" onclick="app.showGaleria(this.dataset.piezaId)">
+        <img src="${Utils.escapeHTML(fotos[0].url)}" alt="${Utils.escapeHTML(this.piezaLabel(pieza))}">
+        ${fotos.length > 1 ? `<span class="foto-count">${fotos.length}</span>` : ''}
+      </button>
+    `;
+  }
+
+  renderGaleria(pieza) {
+    const fotos = pieza.fotos || [];
+    if (fotos.length === 0) {
+      return '<p class="text-muted">Sin fotos</p>';
+    }
+
+    return `
+      <div class="foto-galeria">
+        ${fotos.map(foto => `
+          <a class="foto-galeria-item" href="${Utils.escapeHTML(foto.url)}" target="_blank" rel="noopener" title="${Utils.escapeHTML(foto.nombre)}">
+            <img src="${Utils.escapeHTML(foto.url)}" alt="${Utils.escapeHTML(foto.nombre || this.piezaLabel(pieza))}">
+          </a>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  showGaleria(piezaId) {
+    const pieza = this.piezas.find(p => p.id === piezaId);
+    if (!pieza) return;
+
+    const fotos = pieza.fotos || [];
+    const editable = this.isEventoEditable();
+    const puedeAnadir = editable && AuthManager.can('registro.tatuadores') && fotos.length < this.maxFotosPorPieza;
+    const puedeEliminar = editable && AuthManager.can('registro.tatuadores');
+
+    document.getElementById('galeriaModal')?.remove();
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'galeriaModal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>
+            <i class="fas fa-images"></i>
+            Fotos - ${Utils.escapeHTML(this.piezaLabel(pieza))}
+          </h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="modal-body">
+          ${this.renderGaleria(pieza)}
+          ${puedeEliminar && fotos.length > 0 ? `
+            <div class="foto-acciones">
+              ${fotos.map((foto, index) => `
+                <button type="button" class="btn btn-sm btn-danger" onclick="app.deleteFoto('${pieza.id}', '${foto.id}')">
+                  <i class="fas fa-trash"></i>
+                  Foto ${index + 1}
+                </button>
+              `).join('')}
+            </div>
+          ` : ''}
+          ${puedeAnadir ? `
+            <form id="galeriaForm" class="config-form">
+              <div class="form-group">
+                <label for="galeriaFotos">Añadir fotos</label>
+                <input type="file" id="galeriaFotos" name="fotos" class="form-control" accept="image/jpeg,image/png,image/webp" multiple required>
+              </div>
+              <button type="submit" class="btn btn-primary">
+                <i class="fas fa-upload"></i>
+                Subir
+              </button>
+            </form>
+          ` : ''}
+        </div>
+      </div>
+    `;
+
+    const form = modal.querySelector('#galeriaForm');
+    if (form) {
+      form.addEventListener('submit', (e) => this.handleGaleriaSubmit(e, piezaId));
+    }
+    document.body.appendChild(modal);
+  }
+
+  async handleGaleriaSubmit(e, piezaId) {
+    e.preventDefault();
+    if (!this.requirePermission('registro.tatuadores') || !this.requireEditableEvento()) return;
+
+    const pieza = this.piezas.find(p => p.id === piezaId);
+    if (!pieza) return;
+
+    const fotos = await this.leerFotos(new FormData(e.target).getAll('fotos'), (pieza.fotos || []).length);
+    if (!fotos || fotos.length === 0) return;
+
+    pieza.fotos = [...(pieza.fotos || []), ...fotos];
+    this.saveData({ action: 'update', collection: 'piezas', record: pieza });
+    this.updateAdminUI();
+    this.showGaleria(piezaId);
+    Utils.showNotification(`${fotos.length} foto(s) añadida(s)`, 'success');
+  }
+
+  deleteFoto(piezaId, fotoId) {
+    if (!this.requirePermission('registro.tatuadores') || !this.requireEditableEvento()) return;
+
+    const pieza = this.piezas.find(p => p.id === piezaId);
+    if (!pieza || !confirm('¿Eliminar esta foto?')) return;
+
+    pieza.fotos = (pieza.fotos || []).filter(foto => foto.id !== fotoId);
+    this.saveData({ action: 'update', collection: 'piezas', record: pieza });
+    this.updateAdminUI();
+    this.showGaleria(piezaId);
+    Utils.showNotification('Foto eliminada', 'success');
+  }
+
+  async handleJuradoSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('registro.jurados') || !this.requireEditableEvento()) return;
+    const formData = new FormData(e.target);
+
+    const nombre = formData.get('nombre');
+    const email = formData.get('email');
+    const experiencia = parseInt(formData.get('experiencia'));
+    const especialidad = formData.get('especialidad');
+    const conflictos = this.nuevosConflictos(formData.getAll('conflictos'), formData.get('conflictoMotivo'));
+
+    // Validation
+    if (!Utils.validateEmail(email)) {
+      Utils.showNotification('Por favor ingresa un email válido', 'error');
+      return;
+    }
+
+    if (experiencia < 1) {
+      Utils.showNotification('La experiencia debe ser de al menos 1 año', 'error');
+      return;
+    }
+
+    // Check duplicates
+    if (this.eventRecords('jurados').some(j => j.email === email)) {
+      Utils.showNotification('Ya existe un jurado registrado con este email', 'error');
+      return;
+    }
+
+    const jurado = {
+      id: Utils.generateId(),
+      eventoId: this.eventoId,
+      nombre,
+      email,
+      experiencia,
+      especialidad,
+      conflictos,
+      fechaRegistro: new Date().toISOString()
+    };
+
+    this.jurados.push(jurado);
+    e.target.reset();
+    const synced = await this.saveData({ action: 'create', collection: 'jurados', record: jurado });
+    this.updateHomeStats();
+    this.updateAdminUI();
+    this.updateEvaluationSelects();
+
+    Utils.showNotification('Jurado registrado exitosamente', 'success');
+
+    // Cada jurado recibe sus propias credenciales de evaluación
+    if (synced) {
+      this.issueJuradoCredentials(jurado.id);
+    } else {
+      Utils.showNotification('Las credenciales del jurado se podrán generar desde Administración cuando se restablezca la conexión', 'warning', 8000);
+    }
+  }
+
+  async handleEvaluacionLogin(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const username = formData.get('username');
+    const password = formData.get('password');
+
+    const result = await AuthManager.login(username, password, 'evaluacion');
+
+    if (result.success) {
+      Utils.showNotification('Acceso autorizado al sistema de evaluación', 'success');
+      this.showEvaluacionPanel();
+      this.updateEvaluationSelects();
+    } else {
+      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
+      // Limpiar formulario inmediatamente después de fallo de login
+      setTimeout(() => {
+        this.clearLoginForm('evaluacionLoginForm');
+      }, 2000);
+    }
+  }
+
+  async handleAdminLogin(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const username = formData.get('username');
+    const password = formData.get('password');
+
+    const result = await AuthManager.login(username, password, 'administracion');
+
+    if (result.success) {
+      Utils.showNotification('Acceso de administrador autorizado', 'success');
+      this.showAdminPanel();
+      this.updateAdminUI();
+    } else {
+      Utils.showNotification(result.message || 'Credenciales de administrador incorrectas', 'error');
+      // Limpiar formulario inmediatamente después de fallo de login
+      setTimeout(() => {
+        this.clearLoginForm('adminLoginForm');
+      }, 2000);
+    }
+  }
+
+  async handleRegistroLogin(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const username = formData.get('username');
+    const password = formData.get('password');
+
+    const result = await AuthManager.login(username, password, 'registro');
+
+    if (result.success) {
+      Utils.showNotification('Acceso autorizado al sistema de registro', 'success');
+      this.showRegistroPanel();
+    } else {
+      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
+      // Limpiar formulario inmediatamente después de fallo de login
+      setTimeout(() => {
+        this.clearLoginForm('registroLoginForm');
+      }, 2000);
+    }
+  }
+
+  async handleResultadosLogin(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const username = formData.get('username');
+    const password = formData.get('password');
+
+    const result = await AuthManager.login(username, password, 'resultados');
+
+    if (result.success) {
+      Utils.showNotification('Acceso autorizado al sistema de resultados', 'success');
+      this.showResultadosPanel();
+      this.updateResultadosUI();
+    } else {
+      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
+      // Limpiar formulario inmediatamente después de fallo de login
+      setTimeout(() => {
+        this.clearLoginForm('resultadosLoginForm');
+      }, 2000);
+    }
+  }
+
+  handleEvaluacionSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('evaluacion.registrar') || !this.requireEditableEvento()) return;
+    const formData = new FormData(e.target);
+
+    const juradoId = document.getElementById('juradoSelect').value;
+    const piezaId = document.getElementById('piezaSelect').value;
+
+    if (!juradoId || !piezaId) {
+      Utils.showNotification('Debes seleccionar jurado y pieza', 'error');
+      return;
+    }
+
+    if (AuthManager.isJuradoLocked() && juradoId !== AuthManager.getJuradoId()) {
+      Utils.showNotification('Solo puedes registrar evaluaciones con tu propia cuenta de jurado', 'error');
+      return;
+    }
+
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    const pieza = this.piezas.find(p => p.id === piezaId);
+    const tatuador = this.tatuadorDe(pieza);
+
+    if (this.estadoCategoria(pieza.categoria) !== 'evaluacion') {
+      Utils.showNotification(`La evaluación de ${Utils.formatCategoryName(pieza.categoria)} está cerrada`, 'error');
+      return;
+    }
+
+    if (!this.puedeEvaluar(jurado, pieza)) {
+      Utils.showNotification(`Restricción de evaluación: ${tatuador.nombre} no está asignado al jurado ${jurado.nombre}.`, 'error');
+      return;
+    }
+
+    const conflicto = this.conflictoDe(jurado, pieza.tatuadorId);
+    if (conflicto) {
+      Utils.showNotification(`Restricción de evaluación: El jurado ${jurado.nombre} declaró un conflicto de interés con ${tatuador.nombre} (${conflicto.motivo}). No puede evaluarlo.`, 'error');
+      return;
+    }
+
+    // Verificar si ya existe una evaluación de este jurado para esta pieza
+    const evaluacionExistente = this.eventRecords('evaluaciones').find(e => 
+      e.juradoId === juradoId && e.piezaId === piezaId
+    );
+
+    if (evaluacionExistente) {
+      Utils.showNotification(`Restricción de evaluación: El jurado ${jurado.nombre} ya evaluó la pieza de ${tatuador.nombre} en la categoría ${Utils.formatCategoryName(pieza.categoria)}. Un jurado solo puede evaluar cada pieza una vez.`, 'error');
+      return;
+    }
+
+    const criterios = {};
+    const configurados = this.criteriosDe(pieza.categoria);
+
+    // Verificar que se hayan evaluado todos los criterios configurados para la categoría
+    const sinEvaluar = configurados.filter(criterio => {
+      const input = document.querySelector(`.criterio-input[name="${criterio.id}"]`);
+      return !input || input.value === '';
+    });
+    if (sinEvaluar.length > 0) {
+      Utils.showNotification('Debe evaluar todos los criterios antes de guardar la evaluación', 'error');
+      return;
+    }
+
+    // Verificar que cada puntuación esté dentro del rango del criterio
+    const fueraDeRango = configurados.filter(criterio => {
+      const valor = parseFloat(document.querySelector(`.criterio-input[name="${criterio.id}"]`).value);
+      criterios[criterio.id] = valor;
+      return valor < criterio.min || valor > criterio.max;
+    });
+    if (fueraDeRango.length > 0) {
+      Utils.showNotification(`Puntuación fuera de rango en ${fueraDeRango.map(c => c.nombre).join(', ')}`, 'error');
+      return;
+    }
+
+    const promedio = this.calculatePuntuacionTotal(pieza.categoria, criterios);
+
+    const evaluacion = {
+      id: Utils.generateId(),
+      eventoId: this.eventoId,
+      juradoId: jurado.id,
+      jurado: jurado.nombre,
+      piezaId: pieza.id,
+      tatuadorId: tatuador.id,
+      tatuador: tatuador.nombre,
+      categoria: pieza.categoria,
+      criterios,
+      puntuacionTotal: promedio,
+      reglasVersion: this.reglasVersionDe(pieza.categoria),
+      evaluadoPor: AuthManager.getCurrentUser('evaluacion').username,
+      fecha: new Date().toISOString()
+    };
+
+    this.evaluaciones.push(evaluacion);
+    this.saveData({ action: 'create', collection: 'evaluaciones', record: evaluacion });
+    this.updateHomeStats();
+    this.updateAdminUI();
+    this.updateResultadosUI();
+    this.resetEvaluationForm();
+
+    Utils.showNotification('Evaluación guardada exitosamente', 'success');
+  }
+
+  checkEvaluacionAccess() {
+    const loginPanel = document.getElementById('evaluacionLogin');
+    const evaluacionPanel = document.getElementById('evaluacionPanel');
+    const userName = document.getElementById('evaluacionUserName');
+
+    if (AuthManager.isLoggedIn('evaluacion')) {
+      loginPanel.classList.add('hidden');
+      evaluacionPanel.classList.remove('hidden');
+      const user = AuthManager.getCurrentUser('evaluacion');
+      const jurado = this.jurados.find(j => j.id === user.juradoId);
+      userName.textContent = jurado ? jurado.nombre : user.username;
+
+      // Un jurado evalúa siempre en el evento en el que está registrado
+      if (jurado) {
+        this.selectEvento(jurado.eventoId);
+      }
+      this.startSessionTimeout('evaluacion');
+    } else {
+      loginPanel.classList.remove('hidden');
+      evaluacionPanel.classList.add('hidden');
+    }
+  }
+
+  checkAdminAccess() {
+    const loginPanel = document.getElementById('adminLogin');
+    const adminPanel = document.getElementById('adminPanel');
+    const userName = document.getElementById('adminUserName');
+
+    if (AuthManager.isLoggedIn('administracion')) {
+      loginPanel.classList.add('hidden');
+      adminPanel.classList.remove('hidden');
+      const user = AuthManager.getCurrentUser('administracion');
+      userName.textContent = user.username;
+      this.startSessionTimeout('administracion');
+    } else {
+      loginPanel.classList.remove('hidden');
+      adminPanel.classList.add('hidden');
+    }
+  }
+
+  checkRegistroAccess() {
+    const loginPanel = document.getElementById('registroLogin');
+    const registroPanel = document.getElementById('registroPanel');
+    const userName = document.getElementById('registroUserName');
+
+    if (AuthManager.isLoggedIn('registro')) {
+      loginPanel.classList.add('hidden');
+      registroPanel.classList.remove('hidden');
+      const user = AuthManager.getCurrentUser('registro');
+      userName.textContent = user.username;
+      this.startSessionTimeout('registro');
+    } else {
+      loginPanel.classList.remove('hidden');
+      registroPanel.classList.add('hidden');
+    }
+  }
+
+  checkResultadosAccess() {
+    const loginPanel = document.getElementById('resultadosLogin');
+    const resultadosPanel = document.getElementById('resultadosPanel');
+    const userName = document.getElementById('resultadosUserName');
+
+    if (AuthManager.isLoggedIn('resultados')) {
+      loginPanel.classList.add('hidden');
+      resultadosPanel.classList.remove('hidden');
+      const user = AuthManager.getCurrentUser('resultados');
+      userName.textContent = user.username;
+      this.startSessionTimeout('resultados');
+      this.updatePantallaConfig();
+      this.updatePublicacionTable();
+    } else {
+      loginPanel.classList.remove('hidden');
+      resultadosPanel.classList.add('hidden');
+    }
+  }
+
+  showEvaluacionPanel() {
+    document.getElementById('evaluacionLogin').classList.add('hidden');
+    document.getElementById('evaluacionPanel').classList.remove('hidden');
+    const user = AuthManager.getCurrentUser('evaluacion');
+    document.getElementById('evaluacionUserName').textContent = user.username;
+    this.startSessionTimeout('evaluacion');
+  }
+
+  showAdminPanel() {
+    document.getElementById('adminLogin').classList.add('hidden');
+    document.getElementById('adminPanel').classList.remove('hidden');
+    const user = AuthManager.getCurrentUser('administracion');
+    document.getElementById('adminUserName').textContent = user.username;
+    this.startSessionTimeout('administracion');
+  }
+
+  showRegistroPanel() {
+    document.getElementById('registroLogin').classList.add('hidden');
+    document.getElementById('registroPanel').classList.remove('hidden');
+    const user = AuthManager.getCurrentUser('registro');
+    document.getElementById('registroUserName').textContent = user.username;
+    this.startSessionTimeout('registro');
+  }
+
+  showResultadosPanel() {
+    document.getElementById('resultadosLogin').classList.add('hidden');
+    document.getElementById('resultadosPanel').classList.remove('hidden');
+    const user = AuthManager.getCurrentUser('resultados');
+    document.getElementById('resultadosUserName').textContent = user.username;
+    this.startSessionTimeout('resultados');
+    this.updatePantallaConfig();
+    this.updatePublicacionTable();
+  }
+
+  startSessionTimeout(type) {
+    this.lastActivity = Date.now();
+
+    if (this.sessionTimeout) {
+      clearTimeout(this.sessionTimeout);
+    }
+
+    // Solo activar timeout si está configurado (mayor que 0)
+    if (this.sessionTimeoutDuration > 0) {
+      this.sessionTimeout = setTimeout(() => {
+        if (AuthManager.isLoggedIn(type)) {
+          this.logout(type, 'timeout');
+          Utils.showNotification('Sesión expirada por inactividad después de 20 segundos', 'warning');
+        }
+      }, this.sessionTimeoutDuration);
+    }
+  }
+
+  resetActivityTimeout() {
+    const now = Date.now();
+    if (now - this.lastActivity < 1000) return;
+
+    this.lastActivity = now;
+
+    // Solo procesar si el timeout está habilitado
+    if (this.sessionTimeoutDuration > 0 && this.sessionTimeout) {
+      clearTimeout(this.sessionTimeout);
+
+      const type = AuthManager.getActiveSection();
+
+      if (type) {
+        this.sessionTimeout = setTimeout(() => {
+          if (AuthManager.isLoggedIn(type)) {
+            this.logout(type, 'timeout');
+            Utils.showNotification('Sesión expirada por inactividad después de 20 segundos', 'warning');
+          }
+        }, this.sessionTimeoutDuration);
+      }
+    }
+  }
+
+  logout(type, reason = 'manual') {
+    AuthManager.logout(type);
+
+    // Limpiar credenciales del módulo específico
+    this.clearModuleCredentials(type);
+
+    if (type === 'evaluacion') {
+      this.checkEvaluacionAccess();
+      this.resetEvaluationForm();
+    } else if (type === 'administracion') {
+      this.checkAdminAccess();
+    } else if (type === 'registro') {
+      this.checkRegistroAccess();
+    } else if (type === 'resultados') {
+      this.checkResultadosAccess();
+    }
+
+    if (this.sessionTimeout) {
+      clearTimeout(this.sessionTimeout);
+      this.sessionTimeout = null;
+    }
+
+    if (reason === 'manual') {
+      Utils.showNotification('Sesión cerrada', 'info');
+    }
+  }
+
+  piezasDe(tatuadorId) {
+    return this.piezas.filter(p => p.tatuadorId === tatuadorId);
+  }
+
+  tatuadorDe(pieza) {
+    return (pieza && this.tatuadores.find(t => t.id === pieza.tatuadorId)) || null;
+  }
+
+  // Datos de la pieza que la distinguen de las demás del mismo tatuador
+  describirPieza(pieza) {
+    const partes = [pieza.zona, pieza.cliente && `Cliente: ${pieza.cliente}`];
+    if (pieza.sesiones) partes.push(`${pieza.sesiones} ${pieza.sesiones === 1 ? 'sesión' : 'sesiones'}`);
+    return partes.filter(Boolean).join(' · ');
+  }
+
+  piezaLabel(pieza) {
+    const tatuador = this.tatuadorDe(pieza);
+    const detalle = pieza.zona ? ` - ${pieza.zona}` : '';
+    return `${tatuador ? tatuador.nombre : 'Tatuador eliminado'} (${Utils.formatCategoryName(pieza.categoria)}${detalle})`;
+  }
+
+  // Categorías completas y tatuadores concretos asignados a un jurado
+  asignacionDe(jurado) {
+    const asignacion = (jurado && jurado.asignacion) || {};
+    return { categorias: asignacion.categorias || [], tatuadores: asignacion.tatuadores || [] };
+  }
+
+  // Un jurado sin asignación evalúa todas las piezas del evento
+  puedeEvaluar(jurado, pieza) {
+    const { categorias, tatuadores } = this.asignacionDe(jurado);
+    if (categorias.length === 0 && tatuadores.length === 0) return true;
+    return categorias.includes(pieza.categoria) || tatuadores.includes(pieza.tatuadorId);
+  }
+
+  // Conflicto de interés declarado por un jurado con un tatuador, si existe
+  conflictoDe(jurado, tatuadorId) {
+    return ((jurado && jurado.conflictos) || []).find(c => c.tatuadorId === tatuadorId) || null;
+  }
+
+  nuevosConflictos(tatuadorIds, motivo) {
+    const user = AuthManager.getCurrentUser(AuthManager.getActiveSection());
+    return tatuadorIds.map(tatuadorId => ({
+      tatuadorId,
+      motivo: motivo || 'Otro',
+      declaradoPor: user ? user.username : '',
+      fecha: new Date().toISOString()
+    }));
+  }
+
+  // Tatuadores del evento que el jurado puede marcar como conflicto al registrarse
+  renderJuradoConflictos() {
+    const container = document.getElementById('juradoConflictos');
+    if (container) {
+      const marcados = [...container.querySelectorAll('input:checked')].map(input => input.value);
+      const tatuadores = this.eventRecords('tatuadores');
+      container.innerHTML = tatuadores.length === 0
+        ? '<span class="text-muted">No hay tatuadores registrados</span>'
+        : tatuadores.map(tatuador => `
+          <label class="role-option">
+            <input type="checkbox" name="conflictos" value="${tatuador.id}" ${marcados.includes(tatuador.id) ? 'checked' : ''}>
+            ${tatuador.nombre}
+          </label>
+        `).join('');
+    }
+
+    const motivo = document.getElementById('juradoConflictoMotivo');
+    if (motivo && motivo.options.length === 0) {
+      motivo.innerHTML = this.motivosConflicto.map(m => `<option value="${m}">${m}</option>`).join('');
+    }
+  }
+
+  describirAsignacion(jurado) {
+    const { categorias, tatuadores } = this.asignacionDe(jurado);
+    if (categorias.length === 0 && tatuadores.length === 0) return 'Todo el evento';
+
+    const partes = categorias.map(categoria => Utils.formatCategoryName(categoria));
+    if (tatuadores.length > 0) partes.push(`${tatuadores.length} tatuador(es)`);
+    return partes.join(', ');
+  }
+
+  updateEvaluationSelects() {
+    this.renderJuradoConflictos();
+
+    const juradoSelect = document.getElementById('juradoSelect');
+    const piezaSelect = document.getElementById('piezaSelect');
+
+    // Conservar la selección actual si sigue disponible tras refrescar las listas
+    if (juradoSelect) {
+      const jurados = this.eventRecords('jurados');
+      const selected = juradoSelect.value;
+      juradoSelect.innerHTML = '<option value="">Selecciona un jurado</option>';
+      jurados.forEach(jurado => {
+        juradoSelect.innerHTML += `<option value="${jurado.id}">${jurado.nombre}</option>`;
+      });
+      juradoSelect.value = jurados.some(j => j.id === selected) ? selected : '';
+
+      // Un jurado autenticado evalúa en su propio nombre; solo el jurado principal puede cambiarlo
+      const juradoId = AuthManager.getJuradoId();
+      if (juradoId && (AuthManager.isJuradoLocked() || !juradoSelect.value)) {
+        juradoSelect.value = juradoId;
+      }
+      juradoSelect.disabled = AuthManager.isJuradoLocked();
+    }
+
+    // Solo se ofrecen las piezas asignadas al jurado seleccionado, en categorías aún en evaluación
+    if (piezaSelect) {
+      const jurado = juradoSelect && this.jurados.find(j => j.id === juradoSelect.value);
+      const piezas = this.eventRecords('piezas').filter(pieza =>
+        this.estadoCategoria(pieza.categoria) === 'evaluacion' && (!jurado || this.puedeEvaluar(jurado, pieza))
+      );
+      const selected = piezaSelect.value;
+      piezaSelect.innerHTML = '<option value="">Selecciona una pieza</option>';
+      piezas.forEach(pieza => {
+        piezaSelect.innerHTML += `<option value="${Utils.escapeHTML(pieza.id)}">${Utils.escapeHTML(this.piezaLabel(pieza))}</option>`;
+      });
+      piezaSelect.value = piezas.some(p => p.id === selected) ? selected : '';
+    }
+
+    // Agregar información visual sobre restricciones
+    this.updateEvaluationRestrictions();
+  }
+
+  // Método para mostrar información sobre evaluaciones ya realizadas
+  updateEvaluationRestrictions() {
+    const restrictionsContainer = document.getElementById('evaluationRestrictions');
+    if (!restrictionsContainer) return;
+
+    this.updateEnmiendasPendientes();
+
+    const evaluaciones = this.eventRecords('evaluaciones');
+    if (evaluaciones.length === 0) {
+      restrictionsContainer.innerHTML = '<p class="text-muted">No hay evaluaciones previas registradas.</p>';
+      return;
+    }
+
+    // Agrupar evaluaciones por jurado
+    const evaluacionesPorJurado = {};
+    evaluaciones.forEach(evaluacion => {
+      if (!evaluacionesPorJurado[evaluacion.jurado]) {
+        evaluacionesPorJurado[evaluacion.jurado] = [];
+      }
+      evaluacionesPorJurado[evaluacion.jurado].push({
+        id: evaluacion.id,
+        tatuador: evaluacion.tatuador,
+        categoria: evaluacion.categoria,
+        corregible: this.puedeSolicitarEnmienda(evaluacion),
+        enmiendaPendiente: !!evaluacion.enmienda
+      });
+    });
+
+    let restrictionsHtml = '<div class="restrictions-info"><h5>Evaluaciones Realizadas:</h5>';
+    Object.entries(evaluacionesPorJurado).forEach(([jurado, evaluaciones]) => {
+      restrictionsHtml += `<div class="jurado-restrictions">
+        <strong>${jurado}:</strong>
+        <ul class="evaluaciones-list">`;
+      evaluaciones.forEach(evaluation => {
+        const estado = evaluation.enmiendaPendiente ? ' <small class="text-warning">(corrección pendiente)</small>' : '';
+        const corregir = evaluation.corregible && !evaluation.enmiendaPendiente
+          ? ` <button type="button" class="btn btn-sm btn-secondary" title="Solicitar corrección" onclick="app.showEnmiendaModal('${evaluation.id}')"><i class="fas fa-pen"></i></button>`
+          : '';
+        restrictionsHtml += `<li>${Utils.escapeHTML(evaluation.tatuador)} - ${Utils.escapeHTML(Utils.formatCategoryName(evaluation.categoria))}${estado}${corregir}</li>`;
+      });
+      restrictionsHtml += '</ul></div>';
+    });
+    restrictionsHtml += '</div>';
+
+    restrictionsContainer.innerHTML = restrictionsHtml;
+  }
+
+  // Un jurado solicita correcciones de sus propias evaluaciones; el jurado principal, de cualquiera
+  puedeSolicitarEnmienda(evaluacion) {
+    if (!AuthManager.can('evaluacion.registrar') || !this.isEventoEditable()) return false;
+    if (!this.admiteCorrecciones(evaluacion.categoria)) return false;
+    return evaluacion.juradoId === AuthManager.getJuradoId() || AuthManager.can('evaluacion.supervisar');
+  }
+
+  showEnmiendaModal(evaluacionId) {
+    const evaluacion = this.evaluaciones.find(e => e.id === evaluacionId);
+    if (!evaluacion || !this.puedeSolicitarEnmienda(evaluacion)) return;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'enmiendaModal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>
+            <i class="fas fa-pen"></i>
+            Solicitar Corrección
+          </h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="modal-body">
+          <p><strong>${Utils.escapeHTML(evaluacion.jurado)}</strong> - ${Utils.escapeHTML(evaluacion.tatuador)} (${Utils.escapeHTML(Utils.formatCategoryName(evaluacion.categoria))})</p>
+          <form id="enmiendaForm" class="config-form">
+            ${this.criteriosDe(evaluacion.categoria).map(criterio => `
+              <div class="form-group">
+                <label for="enmienda-${criterio.id}">${Utils.escapeHTML(criterio.nombre)}</label>
+                <input type="number" id="enmienda-${criterio.id}" name="${criterio.id}" class="form-control" required
+                       min="${criterio.min}" max="${criterio.max}" step="${criterio.paso}" value="${evaluacion.criterios[criterio.id] ?? ''}">
+              </div>
+            `).join('')}
+            <div class="form-group">
+              <label for="enmiendaMotivo">Motivo</label>
+              <textarea id="enmiendaMotivo" name="motivo" class="form-control" rows="2" required></textarea>
+              <div class="form-hint">La corrección se aplicará cuando la apruebe el jurado principal o un administrador</div>
+            </div>
+            <button type="submit" class="btn btn-primary">
+              <i class="fas fa-paper-plane"></i>
+              Enviar para Aprobación
+            </button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#enmiendaForm').addEventListener('submit', (e) => this.handleEnmiendaSubmit(e, evaluacionId));
+    document.body.appendChild(modal);
+  }
+
+  async handleEnmiendaSubmit(e, evaluacionId) {
+    e.preventDefault();
+    const evaluacion = this.evaluaciones.find(ev => ev.id === evaluacionId);
+    if (!evaluacion || !this.requireEditableEvento()) return;
+    if (!this.puedeSolicitarEnmienda(evaluacion)) {
+      Utils.showNotification('Solo puedes solicitar correcciones de tus propias evaluaciones', 'error');
+      return;
+    }
+
+    const formData = new FormData(e.target);
+    const motivo = (formData.get('motivo') || '').trim();
+    if (!motivo) {
+      Utils.showNotification('Indica el motivo de la corrección', 'error');
+      return;
+    }
+
+    const configurados = this.criteriosDe(evaluacion.categoria);
+    const criterios = {};
+    const fueraDeRango = configurados.filter(criterio => {
+      const valor = parseFloat(formData.get(criterio.id));
+      criterios[criterio.id] = valor;
+      return isNaN(valor) || valor < criterio.min || valor > criterio.max;
+    });
+    if (fueraDeRango.length > 0) {
+      Utils.showNotification(`Puntuación fuera de rango en ${fueraDeRango.map(c => c.nombre).join(', ')}`, 'error');
+      return;
+    }
+
+    if (configurados.every(criterio => criterios[criterio.id] === evaluacion.criterios[criterio.id])) {
+      Utils.showNotification('La corrección no cambia ninguna puntuación', 'warning');
+      return;
+    }
+
+    const user = AuthManager.getCurrentUser('evaluacion');
+    const actualizada = {
+      ...evaluacion,
+      enmienda: {
+        criterios,
+        puntuacionTotal: this.calculatePuntuacionTotal(evaluacion.categoria, criterios),
+        motivo,
+        solicitadaPor: user ? user.username : '',
+        fecha: new Date().toISOString()
+      }
+    };
+
+    this.evaluaciones = this.evaluaciones.map(ev => ev.id === evaluacionId ? actualizada : ev);
+    await this.saveData({ action: 'update', collection: 'evaluaciones', record: actualizada });
+    e.target.closest('.modal').remove();
+    this.updateEvaluationRestrictions();
+    this.updateAdminUI();
+    Utils.showNotification('Corrección enviada para aprobación', 'success');
+  }
+
+  // Correcciones pendientes, en Evaluación (jurado principal) y en Administración
+  updateEnmiendasPendientes() {
+    const containers = document.querySelectorAll('.enmiendas-pendientes');
+    if (containers.length === 0) return;
+
+    const puedeAprobar = AuthManager.can('evaluacion.aprobar') && this.isEventoEditable();
+    const pendientes = this.eventRecords('evaluaciones').filter(e => e.enmienda);
+
+    let html;
+    if (pendientes.length === 0) {
+      html = '<p class="text-muted">No hay correcciones pendientes.</p>';
+    } else {
+      html = '<div class="restrictions-info"><h5>Correcciones Pendientes:</h5>' + pendientes.map(evaluacion => {
+        const cambios = this.criteriosDe(evaluacion.categoria)
+          .filter(criterio => evaluacion.enmienda.criterios[criterio.id] !== evaluacion.criterios[criterio.id])
+          .map(criterio => `${criterio.nombre}: ${evaluacion.criterios[criterio.id] ?? '-'} → ${evaluacion.enmienda.criterios[criterio.id]}`)
+          .join(', ');
+        // El motivo y los nombres los escribe cada jurado: todo se escapa
+        const enmienda = evaluacion.enmienda;
+        return `
+          <div class="jurado-restrictions">
+            <strong>${Utils.escapeHTML(evaluacion.jurado)}</strong> - ${Utils.escapeHTML(evaluacion.tatuador)} (${Utils.escapeHTML(Utils.formatCategoryName(evaluacion.categoria))})
+            <ul class="evaluaciones-list">
+              <li>${Utils.escapeHTML(cambios)}</li>
+              <li>Total: ${Utils.escapeHTML(evaluacion.puntuacionTotal)} → ${Utils.escapeHTML(enmienda.puntuacionTotal)}</li>
+              <li>Motivo: ${Utils.escapeHTML(enmienda.motivo)} <small class="text-muted">(${Utils.escapeHTML(enmienda.solicitadaPor)}, ${new Date(enmienda.fecha).toLocaleString('es-ES')})</small></li>
+            </ul>
+            ${puedeAprobar ? `
+              <button type="button" class="btn btn-sm btn-primary" data-evaluacion-id="${Utils.escapeHTML(evaluacion.id)}" onclick="app.resolverEnmienda(this.dataset.evaluacionId, true)">
+                <i class="fas fa-check"></i> Aprobar
+              </button>
+              <button type="button" class="btn btn-sm btn-danger" data-evaluacion-id="${Utils.escapeHTML(evaluacion.id)}" onclick="app.resolverEnmienda(this.dataset.evaluacionId, false)">
+                <i class="fas fa-times"></i> Rechazar
+              </button>
+            ` : ''}
+          </div>
+        `;
+      }).join('') + '</div>';
+    }
+
+    containers.forEach(container => {
+      container.innerHTML = html;
+      // En Evaluación solo se muestran a quien puede aprobarlas
+      if (container.closest('#evaluacion')) {
+        container.classList.toggle('hidden', !puedeAprobar);
+      }
+    });
+  }
+
+  // Aprobar aplica las nuevas puntuaciones; en ambos casos la solicitud queda en `revisiones`
+  async resolverEnmienda(evaluacionId, aprobar) {
+    if (!this.requirePermission('evaluacion.aprobar') || !this.requireEditableEvento()) return;
+
+    const evaluacion = this.evaluaciones.find(e => e.id === evaluacionId);
+    if (!evaluacion || !evaluacion.enmienda) return;
+
+    const user = AuthManager.getCurrentUser(AuthManager.getActiveSection());
+    const username = user ? user.username : '';
+    if (evaluacion.enmienda.solicitadaPor === username) {
+      Utils.showNotification('Una corrección no puede aprobarla quien la solicitó', 'error');
+      return;
+    }
+
+    if (aprobar && !this.admiteCorrecciones(evaluacion.categoria)) {
+      Utils.showNotification('Los resultados de esta categoría ya se revisaron y no admiten correcciones', 'error');
+      return;
+    }
+
+    if (!confirm(aprobar
+      ? `¿Aprobar la corrección de ${evaluacion.jurado} para ${evaluacion.tatuador}? La puntuación pasará de ${evaluacion.puntuacionTotal} a ${evaluacion.enmienda.puntuacionTotal}.`
+      : `¿Rechazar la corrección de ${evaluacion.jurado} para ${evaluacion.tatuador}?`)) {
+      return;
+    }
+
+    const { enmienda } = evaluacion;
+    const revision = {
+      estado: aprobar ? 'aprobada' : 'rechazada',
+      anterior: { criterios: evaluacion.criterios, puntuacionTotal: evaluacion.puntuacionTotal },
+      criterios: enmienda.criterios,
+      puntuacionTotal: enmienda.puntuacionTotal,
+      motivo: enmienda.motivo,
+      solicitadaPor: enmienda.solicitadaPor,
+      fechaSolicitud: enmienda.fecha,
+      resueltaPor: username,
+      fechaResolucion: new Date().toISOString()
+    };
+
+    const actualizada = {
+      ...evaluacion,
+      ...(aprobar ? { criterios: enmienda.criterios, puntuacionTotal: enmienda.puntuacionTotal } : {}),
+      enmienda: null,
+      revisiones: [...(evaluacion.revisiones || []), revision]
+    };
+
+    this.evaluaciones = this.evaluaciones.map(e => e.id === evaluacionId ? actualizada : e);
+    await this.saveData({ action: 'update', collection: 'evaluaciones', record: actualizada });
+    this.updateAllUI();
+    Utils.showNotification(aprobar ? 'Corrección aprobada' : 'Corrección rechazada', aprobar ? 'success' : 'info');
+  }
+
+  updateEvaluationForm() {
+    const juradoId = document.getElementById('juradoSelect').value;
+    const piezaId = document.getElementById('piezaSelect').value;
+    const evaluacionForm = document.getElementById('evaluacionForm');
+
+    if (juradoId && piezaId) {
+      const jurado = this.jurados.find(j => j.id === juradoId);
+      const pieza = this.piezas.find(p => p.id === piezaId);
+      const tatuador = this.tatuadorDe(pieza);
+
+      // Verificar restricción de evaluación duplicada
+      const evaluacionExistente = this.eventRecords('evaluaciones').find(e => 
+        e.juradoId === juradoId && e.piezaId === piezaId
+      );
+
+      if (!this.puedeEvaluar(jurado, pieza)) {
+        evaluacionForm.classList.add('hidden');
+        Utils.showNotification(`Restricción: ${tatuador.nombre} no está asignado al jurado ${jurado.nombre}.`, 'warning', 8000);
+        return;
+      }
+
+      const conflicto = this.conflictoDe(jurado, pieza.tatuadorId);
+      if (conflicto) {
+        evaluacionForm.classList.add('hidden');
+        Utils.showNotification(`Restricción: El jurado ${jurado.nombre} declaró un conflicto de interés con ${tatuador.nombre} (${conflicto.motivo}).`, 'warning', 8000);
+        return;
+      }
+
+      if (evaluacionExistente) {
+        // Mostrar advertencia y no permitir evaluación
+        evaluacionForm.classList.add('hidden');
+        Utils.showNotification(`Restricción: El jurado ${jurado.nombre} ya evaluó la pieza de ${tatuador.nombre} en ${Utils.formatCategoryName(pieza.categoria)}. Seleccione una combinación diferente.`, 'warning', 8000);
+        return;
+      }
+
+      document.getElementById('selectedJuradoName').textContent = jurado.nombre;
+      document.getElementById('selectedTatuadorName').textContent = tatuador.nombre;
+      document.getElementById('selectedCategoria').textContent = Utils.formatCategoryName(pieza.categoria);
+      document.getElementById('selectedPiezaInfo').textContent = this.describirPieza(pieza) || '-';
+      document.getElementById('selectedPiezaFotos').innerHTML = (pieza.fotos || []).length > 0 ? this.renderFotoThumb(pieza) : '';
+
+      const criteriosContainer = document.getElementById('criteriosContainer');
+      criteriosContainer.innerHTML = '';
+
+      const criterios = this.criteriosDe(pieza.categoria);
+
+      criterios.forEach(criterio => {
+        const criterioDiv = document.createElement('div');
+        criterioDiv.className = 'criterio-item';
+
+        let scoreButtons = '';
+        const pasos = Math.round((criterio.max - criterio.min) / criterio.paso);
+        for (let i = 0; i <= pasos; i++) {
+          const value = (criterio.min + i * criterio.paso).toFixed(2);
+          scoreButtons += `<button type="button" class="criterio-btn" data-value="${value}" data-criterio="${criterio.id}">${value}</button>`;
+        }
+
+        const peso = criterio.peso !== 1 ? ` <small>(peso ${criterio.peso})</small>` : '';
+        criterioDiv.innerHTML = `
+          <div class="criterio-header">
+            <label class="criterio-label">
+              <i class="fas fa-star"></i>
+              <span>${Utils.escapeHTML(criterio.nombre.toUpperCase())}${peso}</span>
+            </label>
+            <div class="criterio-value" id="value-${criterio.id}">-</div>
+          </div>
+          <div class="criterio-controls">
+            ${scoreButtons}
+          </div>
+          <input type="hidden" name="${criterio.id}" class="criterio-input" value="" required>
+        `;
+        criteriosContainer.appendChild(criterioDiv);
+      });
+
+      document.querySelectorAll('.criterio-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          this.resetActivityTimeout();
+          const criterio = e.target.dataset.criterio;
+          const value = e.target.dataset.value;
+
+          document.querySelectorAll(`[data-criterio="${criterio}"]`).forEach(b => {
+            b.classList.remove('active');
+          });
+
+          e.target.classList.add('active');
+
+          document.querySelector(`input[name="${criterio}"]`).value = value;
+          document.getElementById(`value-${criterio}`).textContent = value;
+
+          this.updatePromedioTotal();
+        });
+      });
+
+      evaluacionForm.classList.remove('hidden');
+      this.updatePromedioTotal();
+    } else {
+      evaluacionForm.classList.add('hidden');
+    }
+  }
+
+  // Puntuación ponderada de los criterios valorados hasta el momento
+  updatePromedioTotal() {
+    const pieza = this.piezas.find(p => p.id === document.getElementById('piezaSelect').value);
+    const valores = {};
+
+    document.querySelectorAll('.criterio-input').forEach(input => {
+      if (input.value !== '') {
+        valores[input.name] = parseFloat(input.value);
+      }
+    });
+
+    const promedio = pieza ? this.calculatePuntuacionTotal(pieza.categoria, valores).toFixed(2) : '0.00';
+    const promedioElement = document.getElementById('promedioTotal');
+    if (promedioElement) {
+      promedioElement.textContent = promedio;
+    }
+  }
+
+  resetEvaluationForm() {
+    document.getElementById('juradoSelect').value = AuthManager.getJuradoId() || '';
+    document.getElementById('piezaSelect').value = '';
+    document.getElementById('evaluacionForm').classList.add('hidden');
+    document.getElementById('criteriosContainer').innerHTML = '';
+    document.getElementById('promedioTotal').textContent = '0.00';
+
+    document.querySelectorAll('.criterio-btn.active').forEach(btn => {
+      btn.classList.remove('active');
+    });
+  }
+
+  updateResultadosUI() {
+    const tableBody = document.getElementById('resultadosTableBody');
+    const categoriaFilter = document.getElementById('categoriaFilter').value;
+
+    const consolidatedScores = this.resultadosVisibles(this.calculateConsolidatedScores());
+
+    let resultadosFiltrados = consolidatedScores;
+    if (categoriaFilter) {
+      resultadosFiltrados = consolidatedScores.filter(r => r.categoria === categoriaFilter);
+    }
+
+    resultadosFiltrados = this.rankResultados(resultadosFiltrados);
+    this.updateVotosPublicoTable(categoriaFilter);
+
+    if (resultadosFiltrados.length === 0) {
+      tableBody.innerHTML = `
+        <tr class="no-data">
+          <td colspan="7">
+            <i class="fas fa-info-circle"></i>
+            <span>No hay evaluaciones disponibles</span>
+          </td>
+        </tr>
+      `;
+    } else {
+      tableBody.innerHTML = resultadosFiltrados.map(resultado => {
+        const ranking = resultado.posicion;
+        const medalIcon = this.medalIcon(ranking);
+
+        const promedioGeneral = resultado.promedio.toFixed(2);
+
+        return `
+          <tr class="result-row ranking-${ranking}">
+            <td class="ranking-cell">
+              <div class="ranking-display">
+                ${medalIcon}
+                <span class="ranking-number">#${ranking}</span>
+                ${resultado.empate ? '<span class="tie-badge">Empate</span>' : ''}
+              </div>
+            </td>
+            <td class="tattoo-artist-cell">
+              <div class="artist-info">
+                <span class="artist-name">${resultado.tatuador}</span>
+                ${resultado.pieza ? `<small class="text-muted">${Utils.escapeHTML(resultado.pieza)}</small>` : ''}
+              </div>
+            </td>
+            <td class="category-cell">
+              <span class="category-badge">${Utils.escapeHTML(Utils.formatCategoryName(resultado.categoria))}</span>
+            </td>
+            <td class="score-cell">
+              <div class="score-display">
+                <span class="score-value">${resultado.puntuacionConsolidada.toFixed(2)}</span>
+                <div class="score-breakdown">
+                  <small>${resultado.numeroEvaluaciones} evaluaciones</small>
+                  ${resultado.desactualizadas ? `<small class="text-warning" title="Registradas con reglas anteriores: no cuentan hasta que se recalculen"><i class="fas fa-exclamation-triangle"></i> ${resultado.desactualizadas} sin recalcular</small>` : ''}
+                </div>
+                ${resultado.desempate ? `<div class="tie-break"><small>${resultado.desempate}</small></div>` : ''}
+              </div>
+            </td>
+            <td class="average-cell">
+              <div class="average-display">
+                <span class="average-value">${promedioGeneral}</span>
+                <div class="average-label">
+                  <small>Promedio por evaluación</small>
+                </div>
+              </div>
+            </td>
+            <td class="judge-cell">${resultado.jurados.join(', ')}</td>
+            <td class="date-cell">${new Date(resultado.fechaUltimaEvaluacion).toLocaleDateString()}</td>
+          </tr>
+        `;
+      }).join('');
+    }
+  }
+
+  medalIcon(posicion) {
+    if (posicion === 1) return '<i class="fas fa-trophy" style="color: #FFD700;"></i>';
+    if (posicion === 2) return '<i class="fas fa-medal" style="color: #C0C0C0;"></i>';
+    if (posicion === 3) return '<i class="fas fa-medal" style="color: #CD7F32;"></i>';
+    return '';
+  }
+
+  calculateConsolidatedScores() {
+    const groupedEvaluations = {};
+
+    // Cada pieza compite por separado aunque sea del mismo tatuador
+    this.eventRecords('evaluaciones').forEach(evaluacion => {
+      const key = evaluacion.piezaId || `${evaluacion.tatuadorId}_${evaluacion.categoria}`;
+
+      if (!groupedEvaluations[key]) {
+        groupedEvaluations[key] = {
+          piezaId: evaluacion.piezaId,
+          tatuador: evaluacion.tatuador,
+          categoria: evaluacion.categoria,
+          evaluaciones: [],
+          jurados: new Set(),
+          desactualizadas: 0
+        };
+      }
+
+      // Las evaluaciones con reglas anteriores no se mezclan con las vigentes: se cuentan aparte
+      if (!this.evaluacionVigente(evaluacion)) {
+        groupedEvaluations[key].desactualizadas++;
+        return;
+      }
+      groupedEvaluations[key].evaluaciones.push(evaluacion);
+      groupedEvaluations[key].jurados.add(evaluacion.jurado);
+    });
+
+    const consolidatedResults = [];
+    const calibraciones = {};
+
+    Object.values(groupedEvaluations).filter(group => group.evaluaciones.length > 0).forEach(group => {
+      if (!calibraciones[group.categoria]) {
+        calibraciones[group.categoria] = this.calibracionJurados(group.categoria);
+      }
+      const numeroEvaluaciones = group.evaluaciones.length;
+      const fechaMasReciente = group.evaluaciones
+        .sort((a, b) => new Date(b.fecha) - new Date(a.fecha))[0].fecha;
+
+      const pieza = this.piezas.find(p => p.id === group.piezaId);
+
+      consolidatedResults.push({
+        piezaId: group.piezaId,
+        tatuador: group.tatuador,
+        categoria: group.categoria,
+        pieza: pieza ? this.describirPieza(pieza) : '',
+        puntuacionConsolidada: this.consolidarEvaluaciones(group.evaluaciones, group.categoria, calibraciones[group.categoria]),
+        promedio: ScoreConsolidation.mean(group.evaluaciones.map(e => e.puntuacionTotal)),
+        numeroEvaluaciones: numeroEvaluaciones,
+        jurados: Array.from(group.jurados),
+        evaluaciones: group.evaluaciones,
+        desactualizadas: group.desactualizadas,
+        fechaUltimaEvaluacion: fechaMasReciente
+      });
+    });
+
+    return consolidatedResults;
+  }
+
+  calculateCriteriaAverages(piezaId, categoria) {
+    const evaluaciones = this.evaluacionesDePieza(piezaId);
+
+    const criteriaAverages = {};
+
+    this.criteriosDe(categoria).forEach(criterio => {
+      const values = evaluaciones.map(evaluation => evaluation.criterios[criterio.id] || 0);
+      if (values.length > 0) {
+        const average = values.reduce((sum, val) => sum + val, 0) / values.length;
+        criteriaAverages[criterio.id] = average;
+      }
+    });
+
+    return criteriaAverages;
+  }
+
+  evaluacionesDePieza(piezaId) {
+    return this.eventRecords('evaluaciones').filter(e => e.piezaId === piezaId);
+  }
+
+  updateAdminUI() {
+    this.updateEventosTable();
+    this.updateCategoriasTable();
+    this.updateReglasEstado();
+    this.updateTatuadoresTable();
+    this.updateJuradosTable();
+    this.updateConflictosTable();
+    this.updateEvaluacionesTable();
+    this.updateEnmiendasPendientes();
+    this.updateCoberturaTable();
+    this.updateCalibracionTable();
+    this.updateDesempateConfig();
+    this.updateVotacionConfig();
+    this.updateSyncConflictsTable();
+    this.updateAdminStats();
+  }
+
+  updateTatuadoresTable() {
+    const tbody = document.getElementById('tatuadoresTable');
+    if (!tbody) return;
+
+    const tatuadores = this.eventRecords('tatuadores');
+    if (tatuadores.length === 0) {
       tbody.innerHTML = '<tr class="no-data"><td colspan="5">No hay tatuadores registrados</td></tr>';
     } else {
-      tbody.innerHTML = this.tatuadores.map(tatuador => `
+      tbody.innerHTML = tatuadores.map(tatuador => `
+        <tr>
+          <td>${tatuador.nombre}</td>
+          <td>${tatuador.email}</td>
+          <td>
+            ${this.piezasDe(tatuador.id).map(pieza => `
+              <span class="pieza-entry">
+                ${this.renderFotoThumb(pieza)}
+                <span class="category-badge" title="${Utils.escapeHTML(this.describirPieza(pieza))}">
+                  ${Utils.escapeHTML(Utils.formatCategoryName(pieza.categoria))}${pieza.zona ? ` - ${Utils.escapeHTML(pieza.zona)}` : ''}
+                  <button type="button" class="badge-remove" title="Eliminar pieza" onclick="app.deletePieza('${pieza.id}')">&times;</button>
+                </span>
+              </span>
+            `).join('')}
+          </td>
+          <td>${tatuador.telefono}</td>
+          <td class="actions-cell">
+            <button class="btn btn-sm btn-secondary" title="Añadir pieza" onclick="app.showPiezaModal('${tatuador.id}')">
+              <i class="fas fa-plus"></i>
+            </button>
+            <button class="btn btn-sm btn-danger" onclick="app.deleteTatuador('${tatuador.id}')">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>
+      `).join('');
+    }
+  }
+
+  updateJuradosTable() {
+    const tbody = document.getElementById('juradosTable');
+    if (!tbody) return;
+
+    const jurados = this.eventRecords('jurados');
+    if (jurados.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="6">No hay jurados registrados</td></tr>';
+    } else {
+      tbody.innerHTML = jurados.map(jurado => `
+        <tr>
+          <td>${jurado.nombre}</td>
+          <td>${jurado.email}</td>
+          <td>${jurado.experiencia} años</td>
+          <td>${jurado.especialidad}</td>
+          <td>${Utils.escapeHTML(this.describirAsignacion(jurado))}</td>
+          <td class="actions-cell">
+            <button class="btn btn-sm btn-secondary" title="Asignar categorías y tatuadores" onclick="app.showAsignacionModal('${jurado.id}')">
+              <i class="fas fa-tasks"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" title="Conflictos de interés" onclick="app.showConflictosModal('${jurado.id}')">
+              <i class="fas fa-user-slash"></i>
+            </button>
+            <button class="btn btn-sm btn-secondary" title="Ver credenciales" onclick="app.showJuradoCredentials('${jurado.id}')">
+              <i class="fas fa-key"></i>
+            </button>
+            <button class="btn btn-sm btn-primary" title="Regenerar credenciales" onclick="app.regenerateJuradoCredentials('${jurado.id}')">
+              <i class="fas fa-refresh"></i>
+            </button>
+            <button class="btn btn-sm btn-danger" onclick="app.deleteJurado('${jurado.id}')">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>
+      `).join('');
+    }
+  }
+
+  showAsignacionModal(juradoId) {
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    if (!jurado) return;
+
+    const { categorias, tatuadores } = this.asignacionDe(jurado);
+    const marcado = (lista, id) => lista.includes(id) ? 'checked' : '';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'asignacionModal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>
+            <i class="fas fa-tasks"></i>
+            Asignación - ${jurado.nombre}
+          </h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="modal-body">
+          <form id="asignacionForm" class="config-form">
+            <div class="form-hint">Sin ninguna casilla marcada, el jurado evalúa a todos los tatuadores del evento.</div>
+            ${this.categorias.map(categoria => {
+              const inscritos = this.eventRecords('tatuadores').filter(t => this.piezasDe(t.id).some(p => p.categoria === categoria.id));
+              return `
+                <div class="form-group">
+                  <label class="role-option">
+                    <input type="checkbox" name="categorias" value="${categoria.id}" ${marcado(categorias, categoria.id)}>
+                    <strong>${Utils.escapeHTML(categoria.nombre)}</strong> (categoría completa)
+                  </label>
+                  ${inscritos.map(tatuador => `
+                    <label class="role-option">
+                      <input type="checkbox" name="tatuadores" value="${tatuador.id}" ${marcado(tatuadores, tatuador.id)}>
+                      ${tatuador.nombre}
+                    </label>
+                  `).join('')}
+                </div>
+              `;
+            }).join('')}
+            <button type="submit" class="btn btn-primary">
+              <i class="fas fa-save"></i>
+              Guardar Asignación
+            </button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#asignacionForm').addEventListener('submit', (e) => this.saveAsignacion(e, juradoId));
+    document.body.appendChild(modal);
+  }
+
+  async saveAsignacion(e, juradoId) {
+    e.preventDefault();
+    if (!this.requirePermission('registro.jurados') || !this.requireEditableEvento()) return;
+
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    if (!jurado) return;
+
+    const formData = new FormData(e.target);
+    const actualizado = {
+      ...jurado,
+      asignacion: {
+        categorias: formData.getAll('categorias'),
+        tatuadores: formData.getAll('tatuadores')
+      }
+    };
+
+    this.jurados = this.jurados.map(j => j.id === juradoId ? actualizado : j);
+    await this.saveData({ action: 'update', collection: 'jurados', record: actualizado });
+    e.target.closest('.modal').remove();
+    this.updateAdminUI();
+    this.updateEvaluationSelects();
+    Utils.showNotification(`Asignación de ${jurado.nombre}: ${this.describirAsignacion(actualizado)}`, 'success');
+  }
+
+  showConflictosModal(juradoId) {
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    if (!jurado) return;
+
+    document.getElementById('conflictosModal')?.remove();
+    const declarados = jurado.conflictos || [];
+    const disponibles = this.eventRecords('tatuadores').filter(t => !this.conflictoDe(jurado, t.id));
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'conflictosModal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>
+            <i class="fas fa-user-slash"></i>
+            Conflictos de Interés - ${jurado.nombre}
+          </h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="modal-body">
+          <ul class="evaluaciones-list">
+            ${declarados.length === 0 ? '<li class="text-muted">Sin conflictos declarados</li>' : declarados.map(conflicto => {
+              const tatuador = this.tatuadores.find(t => t.id === conflicto.tatuadorId);
+              return `
+                <li>
+                  ${tatuador ? tatuador.nombre : 'Tatuador eliminado'} - ${conflicto.motivo}
+                  <button class="btn btn-sm btn-danger" title="Retirar conflicto" onclick="app.removeConflicto('${jurado.id}', '${conflicto.tatuadorId}')">
+                    <i class="fas fa-trash"></i>
+                  </button>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+          <form id="conflictoForm" class="config-form">
+            <div class="form-group">
+              <label for="conflictoTatuador">Tatuador</label>
+              <select id="conflictoTatuador" name="tatuadorId" class="form-control" required>
+                ${disponibles.map(t => `<option value="${t.id}">${t.nombre}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="conflictoMotivo">Motivo</label>
+              <select id="conflictoMotivo" name="motivo" class="form-control">
+                ${this.motivosConflicto.map(m => `<option value="${m}">${m}</option>`).join('')}
+              </select>
+            </div>
+            <button type="submit" class="btn btn-primary" ${disponibles.length === 0 ? 'disabled' : ''}>
+              <i class="fas fa-plus"></i>
+              Declarar Conflicto
+            </button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#conflictoForm').addEventListener('submit', (e) => this.addConflicto(e, juradoId));
+    document.body.appendChild(modal);
+  }
+
+  async saveConflictos(juradoId, cambiar) {
+    if (!this.requirePermission('registro.jurados') || !this.requireEditableEvento()) return null;
+
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    if (!jurado) return null;
+
+    const actualizado = { ...jurado, conflictos: cambiar(jurado.conflictos || []) };
+    this.jurados = this.jurados.map(j => j.id === juradoId ? actualizado : j);
+    await this.saveData({ action: 'update', collection: 'jurados', record: actualizado });
+    this.updateAdminUI();
+    if (document.getElementById('conflictosModal')) this.showConflictosModal(juradoId);
+    return actualizado;
+  }
+
+  async addConflicto(e, juradoId) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const tatuadorId = formData.get('tatuadorId');
+    if (!tatuadorId) return;
+
+    const [conflicto] = this.nuevosConflictos([tatuadorId], formData.get('motivo'));
+    if (await this.saveConflictos(juradoId, conflictos => [...conflictos, conflicto])) {
+      Utils.showNotification('Conflicto de interés declarado', 'success');
+    }
+  }
+
+  async removeConflicto(juradoId, tatuadorId) {
+    if (!confirm('¿Retirar este conflicto de interés? El jurado podrá volver a evaluar al tatuador.')) return;
+
+    if (await this.saveConflictos(juradoId, conflictos => conflictos.filter(c => c.tatuadorId !== tatuadorId))) {
+      Utils.showNotification('Conflicto de interés retirado', 'success');
+    }
+  }
+
+  // Auditoría: todos los conflictos declarados en el evento y si alguno tiene evaluaciones anteriores
+  updateConflictosTable() {
+    const tbody = document.getElementById('conflictosTable');
+    if (!tbody) return;
+
+    const filas = [];
+    this.eventRecords('jurados').forEach(jurado => {
+      (jurado.conflictos || []).forEach(conflicto => {
+        filas.push({ jurado, conflicto, tatuador: this.tatuadores.find(t => t.id === conflicto.tatuadorId) });
+      });
+    });
+
+    if (filas.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="8">No hay conflictos de interés declarados</td></tr>';
+      return;
+    }
+
+    filas.sort((a, b) => new Date(b.conflicto.fecha) - new Date(a.conflicto.fecha));
+    tbody.innerHTML = filas.map(({ jurado, conflicto, tatuador }) => {
+      const evaluado = this.eventRecords('evaluaciones').some(e => e.juradoId === jurado.id && e.tatuadorId === conflicto.tatuadorId);
+      return `
         <tr>
-          <td>${tatuador.nombre}</td>
-          <td>${tatuador.email}</td>
-          <td><span class="category-badge">${Utils.formatCategoryName(tatuador.categoria)}</span></td>
-          <td>${tatuador.telefono}</td>
+          <td>${jurado.nombre}</td>
+          <td>${tatuador ? tatuador.nombre : 'Tatuador eliminado'}</td>
+          <td>${tatuador ? this.piezasDe(tatuador.id).map(p => `<span class="category-badge">${Utils.escapeHTML(Utils.formatCategoryName(p.categoria))}</span>`).join(' ') : '-'}</td>
+          <td>${conflicto.motivo}</td>
+          <td>${conflicto.declaradoPor || '-'}</td>
+          <td>${new Date(conflicto.fecha).toLocaleDateString()}</td>
+          <td>${evaluado
+            ? '<span class="text-warning"><i class="fas fa-exclamation-triangle"></i> Evaluado antes de la declaración</span>'
+            : 'Evaluación bloqueada'}</td>
           <td class="actions-cell">
-            <button class="btn btn-sm btn-danger" onclick="app.deleteTatuador('${tatuador.id}')">
+            <button class="btn btn-sm btn-danger" title="Retirar conflicto" onclick="app.removeConflicto('${jurado.id}', '${conflicto.tatuadorId}')">
               <i class="fas fa-trash"></i>
             </button>
           </td>
         </tr>
-      `).join('');
+      `;
+    }).join('');
+  }
+
+  // Matriz jurado × pieza: evaluada, pendiente o no asignada
+  updateCoberturaTable() {
+    const head = document.getElementById('coberturaHead');
+    const tbody = document.getElementById('coberturaTable');
+    if (!head || !tbody) return;
+
+    const categoriaFilter = document.getElementById('coberturaCategoria')?.value || '';
+    const piezas = this.eventRecords('piezas').filter(p => !categoriaFilter || p.categoria === categoriaFilter);
+    const jurados = this.eventRecords('jurados');
+    const evaluaciones = this.eventRecords('evaluaciones');
+    const resumen = document.getElementById('coberturaResumen');
+
+    head.innerHTML = `<tr><th>Jurado</th>${piezas.map(p => {
+      const tatuador = this.tatuadorDe(p);
+      return `<th title="${Utils.escapeHTML(this.piezaLabel(p))}">${tatuador ? Utils.escapeHTML(tatuador.nombre) : '-'}<br><small>${Utils.escapeHTML(Utils.formatCategoryName(p.categoria))}</small></th>`;
+    }).join('')}</tr>`;
+
+    if (piezas.length === 0 || jurados.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td>No hay piezas ni jurados registrados</td></tr>';
+      if (resumen) resumen.textContent = '';
+      return;
+    }
+
+    const evaluacionDe = (jurado, pieza) => evaluaciones.find(e => e.juradoId === jurado.id && e.piezaId === pieza.id);
+
+    // Progreso por categoría: evaluaciones hechas sobre las esperadas según las asignaciones
+    const progreso = {};
+    piezas.forEach(pieza => {
+      const entrada = progreso[pieza.categoria] || (progreso[pieza.categoria] = { hechas: 0, esperadas: 0 });
+      jurados.filter(jurado => this.puedeEvaluar(jurado, pieza) && !this.conflictoDe(jurado, pieza.tatuadorId)).forEach(jurado => {
+        entrada.esperadas++;
+        if (evaluacionDe(jurado, pieza)) {
+          entrada.hechas++;
+        }
+      });
+    });
+
+    if (resumen) {
+      resumen.textContent = Object.entries(progreso).map(([categoria, { hechas, esperadas }]) =>
+        `${Utils.formatCategoryName(categoria)}: ${hechas}/${esperadas}${esperadas > 0 && hechas === esperadas ? ' (completa)' : ''}`
+      ).join(' · ');
+    }
+
+    tbody.innerHTML = jurados.map(jurado => `
+      <tr>
+        <td>${jurado.nombre}</td>
+        ${piezas.map(pieza => {
+          if (!this.puedeEvaluar(jurado, pieza)) {
+            return '<td class="coverage-cell coverage-na" title="No asignado">—</td>';
+          }
+          const conflicto = this.conflictoDe(jurado, pieza.tatuadorId);
+          if (conflicto) {
+            return `<td class="coverage-cell coverage-na" title="Conflicto de interés: ${conflicto.motivo}"><i class="fas fa-user-slash"></i></td>`;
+          }
+          const evaluacion = evaluacionDe(jurado, pieza);
+          return evaluacion
+            ? `<td class="coverage-cell coverage-done" title="Evaluado"><i class="fas fa-check"></i> ${evaluacion.puntuacionTotal.toFixed(2)}</td>`
+            : '<td class="coverage-cell coverage-pending" title="Pendiente"><i class="fas fa-hourglass-half"></i></td>';
+        }).join('')}
+      </tr>
+    `).join('');
+  }
+
+  updateEvaluacionesTable() {
+    const tbody = document.getElementById('evaluacionesTable');
+    if (!tbody) return;
+
+    const evaluaciones = this.eventRecords('evaluaciones');
+    if (evaluaciones.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="7">No hay evaluaciones realizadas</td></tr>';
+    } else {
+      tbody.innerHTML = evaluaciones.map(evaluacion => {
+        const fecha = new Date(evaluacion.fecha).toLocaleDateString('es-ES');
+        return `
+          <tr>
+            <td>${evaluacion.jurado}</td>
+            <td>${evaluacion.tatuador}</td>
+            <td><span class="category-badge">${Utils.escapeHTML(Utils.formatCategoryName(evaluacion.categoria))}</span></td>
+            <td class="score-cell">
+              <span class="score-value">${evaluacion.puntuacionTotal}</span>
+              ${evaluacion.enmienda ? `<small class="text-warning" title="Corrección pendiente"><i class="fas fa-pen"></i> ${evaluacion.enmienda.puntuacionTotal}</small>` : ''}
+              ${(evaluacion.revisiones || []).some(r => r.estado === 'aprobada') ? '<small class="text-muted" title="Puntuación corregida">(corregida)</small>' : ''}
+            </td>
+            <td>${this.evaluacionVigente(evaluacion) ? '' : '<i class="fas fa-exclamation-triangle" title="Registrada con reglas anteriores"></i> '}v${evaluacion.reglasVersion || 1}</td>
+            <td>${fecha}</td>
+            <td class="actions-cell">
+              <button class="btn btn-sm btn-danger" onclick="app.deleteEvaluacion('${evaluacion.id}')">
+                <i class="fas fa-trash"></i>
+              </button>
+            </td>
+          </tr>
+        `;
+      }).join('');
+    }
+  }
+
+  describeSyncRecord(collection, record) {
+    if (!record) {
+      return '<span class="text-muted">Eliminado</span>';
+    }
+
+    const fecha = record.updatedAt ? new Date(record.updatedAt).toLocaleString('es-ES') : 'Sin sincronizar';
+    if (collection === 'evaluaciones') {
+      return `${record.puntuacionTotal} <small class="text-muted">(${fecha})</small>`;
+    }
+    return `${Utils.escapeHTML(record.nombre)} <small class="text-muted">(${fecha})</small>`;
+  }
+
+  updateSyncConflictsTable() {
+    const tbody = document.getElementById('syncConflictsTable');
+    if (!tbody) return;
+
+    const collectionNames = {
+      eventos: 'Evento',
+      tatuadores: 'Tatuador',
+      piezas: 'Pieza',
+      jurados: 'Jurado',
+      evaluaciones: 'Evaluación',
+      votos: 'Voto'
+    };
+
+    if (GlobalSyncManager.conflicts.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="5">No hay conflictos de sincronización</td></tr>';
+    } else {
+      tbody.innerHTML = GlobalSyncManager.conflicts.map(conflict => {
+        const record = conflict.local;
+        const nombre = conflict.collection === 'evaluaciones'
+          ? `${record.jurado} → ${record.tatuador}`
+          : conflict.collection === 'piezas' ? this.piezaLabel(record) : record.nombre;
+
+        return `
+          <tr>
+            <td><span class="category-badge">${collectionNames[conflict.collection]}</span> ${Utils.escapeHTML(nombre)}</td>
+            <td>${this.describeSyncRecord(conflict.collection, conflict.local)}</td>
+            <td>${this.describeSyncRecord(conflict.collection, conflict.server)}</td>
+            <td>${new Date(conflict.detectedAt).toLocaleString('es-ES')}</td>
+            <td class="actions-cell">
+              <button class="btn btn-sm btn-secondary" onclick="app.resolveSyncConflict('${conflict.id}', 'local')">
+                <i class="fas fa-laptop"></i>
+                Local
+              </button>
+              <button class="btn btn-sm btn-primary" onclick="app.resolveSyncConflict('${conflict.id}', 'server')">
+                <i class="fas fa-server"></i>
+                Servidor
+              </button>
+            </td>
+          </tr>
+        `;
+      }).join('');
+    }
+  }
+
+  async resolveSyncConflict(conflictId, keep) {
+    if (!AuthManager.isLoggedIn('administracion')) {
+      Utils.showNotification('Acceso denegado', 'error');
+      return;
+    }
+
+    const resolved = await GlobalSyncManager.resolveConflict(conflictId, keep);
+    if (resolved) {
+      this.updateAllUI();
+      Utils.showNotification('Conflicto resuelto', 'success');
+    } else {
+      Utils.showNotification('No se pudo resolver el conflicto. Verifica la conexión con el servidor.', 'error');
+    }
+  }
+
+  updateAdminStats() {
+    const totalTatuadores = document.getElementById('totalTatuadores');
+    const totalJurados = document.getElementById('totalJurados');
+    const totalEvaluaciones = document.getElementById('totalEvaluaciones');
+    const promedioGeneral = document.getElementById('promedioGeneral');
+
+    const evaluaciones = this.eventRecords('evaluaciones');
+
+    if (totalTatuadores) totalTatuadores.textContent = this.eventRecords('tatuadores').length;
+    if (totalJurados) totalJurados.textContent = this.eventRecords('jurados').length;
+    if (totalEvaluaciones) totalEvaluaciones.textContent = evaluaciones.length;
+
+    if (promedioGeneral) {
+      const promedio = evaluaciones.length > 0 
+        ? (evaluaciones.reduce((sum, ev) => sum + ev.puntuacionTotal, 0) / evaluaciones.length).toFixed(2)
+        : '0.00';
+      promedioGeneral.textContent = promedio;
+    }
+  }
+
+  updateHomeStats() {
+    const homeTatuadores = document.getElementById('homeStatTatuadores');
+    const homeJurados = document.getElementById('homeStatJurados');
+    const homeEvaluaciones = document.getElementById('homeStatEvaluaciones');
+
+    if (homeTatuadores) {
+      Utils.animateNumber(homeTatuadores, 0, this.eventRecords('tatuadores').length);
+    }
+    if (homeJurados) {
+      Utils.animateNumber(homeJurados, 0, this.eventRecords('jurados').length);
+    }
+    if (homeEvaluaciones) {
+      Utils.animateNumber(homeEvaluaciones, 0, this.eventRecords('evaluaciones').length);
+    }
+  }
+
+  updateAllUI() {
+    // Actualizar todas las interfaces tras sincronización
+    this.ensureEventoSeleccionado();
+    this.updateEventoSelects();
+    this.updateCategoriaSelects();
+    this.updateConsolidacionInfo();
+    this.updateHomeStats();
+    this.updateAdminUI();
+    this.updateEvaluationSelects();
+    this.updateResultadosUI();
+    this.updateScoreSection();
+    this.updatePantallaConfig();
+    this.updatePublicacionTable();
+    this.updateDisplay();
+    this.updateVotacionUI();
+  }
+
+  // Refrescar las vistas afectadas por un cambio recibido en tiempo real
+  handleRemoteChange(collection) {
+    this.updateDisplay();
+    this.updateVotacionUI();
+
+    if (collection === 'eventos') {
+      this.updateAllUI();
+      return;
+    }
+
+    this.updateResultadosUI();
+    this.updateScoreSection();
+    this.updateAdminUI();
+
+    if (collection === 'evaluaciones') {
+      this.updateEvaluationRestrictions();
+    } else {
+      this.updateEvaluationSelects();
+    }
+  }
+
+  estadoCategoria(categoriaId) {
+    return (this.evento && this.evento.publicacion && this.evento.publicacion[categoriaId]) || 'evaluacion';
+  }
+
+  // Las correcciones se aprueban hasta que la categoría se marca como revisada
+  admiteCorrecciones(categoriaId) {
+    return ['evaluacion', 'cerrada'].includes(this.estadoCategoria(categoriaId));
+  }
+
+  // Mejor puesto ya revelado en la ceremonia; null mientras la categoría sigue bajo embargo
+  reveladoHasta(categoriaId) {
+    return (this.evento && this.evento.revelacion && this.evento.revelacion[categoriaId]) || null;
+  }
+
+  categoriaPublica(categoriaId) {
+    return this.estadoCategoria(categoriaId) === 'publicada' && this.reveladoHasta(categoriaId) === 1;
+  }
+
+  // Administración y jurado principal ven los resultados antes de publicarlos, para revisarlos;
+  // el resto solo ve las categorías publicadas y reveladas
+  resultadosVisibles(resultados) {
+    if (AuthManager.can('eventos.gestionar') || AuthManager.can('evaluacion.aprobar')) {
+      return resultados;
+    }
+    return resultados.filter(r => this.categoriaPublica(r.categoria));
+  }
+
+  // Puestos del podio de una categoría, del último al primero, en el orden en que se revelan
+  puestosARevelar(categoriaId) {
+    const resultados = this.rankResultados(this.calculateConsolidatedScores().filter(r => r.categoria === categoriaId));
+    const puestos = new Set(resultados.map(r => r.posicion).filter(posicion => posicion <= this.pantalla.podio));
+    return [...puestos].sort((a, b) => b - a);
+  }
+
+  // Mover una categoría por el flujo evaluación → cerrada → revisada → publicada (o volver atrás).
+  // Marcar o desmarcar la revisión corresponde al jurado principal; el resto, a la administración.
+  cambiarEstadoCategoria(categoriaId, estado) {
+    const desde = this.estadoCategoria(categoriaId);
+    const revision = ['cerrada', 'revisada'].includes(desde) && ['cerrada', 'revisada'].includes(estado);
+    if (!this.requirePermission(revision ? 'evaluacion.aprobar' : 'eventos.gestionar') || !this.requireEditableEvento()) return;
+
+    const evento = this.evento;
+    evento.publicacion = { ...(evento.publicacion || {}), [categoriaId]: estado };
+
+    // Al publicar empieza el embargo: ningún puesto revelado
+    const revelacion = { ...(evento.revelacion || {}) };
+    delete revelacion[categoriaId];
+    evento.revelacion = revelacion;
+
+    this.saveData({ action: 'update', collection: 'eventos', record: evento });
+    this.updateAllUI();
+
+    const nombre = this.estadosPublicacion.find(e => e.id === estado).nombre;
+    Utils.showNotification(`${Utils.formatCategoryName(categoriaId)}: ${nombre}`, 'success');
+  }
+
+  revelarSiguiente(categoriaId) {
+    const actual = this.reveladoHasta(categoriaId);
+    const siguiente = this.puestosARevelar(categoriaId).find(puesto => actual === null || puesto < actual);
+    this.revelarPuesto(categoriaId, siguiente || 1);
+  }
+
+  revelarPuesto(categoriaId, puesto) {
+    if (!this.requirePermission('display.controlar') || !this.requireEditableEvento()) return;
+    if (this.estadoCategoria(categoriaId) !== 'publicada') return;
+
+    const evento = this.evento;
+    evento.revelacion = { ...(evento.revelacion || {}), [categoriaId]: puesto };
+    this.saveData({ action: 'update', collection: 'eventos', record: evento });
+    this.updateAllUI();
+  }
+
+  // Panel de publicación en Resultados: cada acción aparece solo para quien tiene su permiso
+  updatePublicacionTable() {
+    const panel = document.getElementById('publicacionPanel');
+    const tbody = document.getElementById('publicacionTable');
+    if (!panel || !tbody) return;
+
+    const gestionar = AuthManager.can('eventos.gestionar');
+    const revisar = AuthManager.can('evaluacion.aprobar');
+    const revelar = AuthManager.can('display.controlar');
+    const visible = AuthManager.isLoggedIn('resultados') && (gestionar || revisar || revelar);
+    panel.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const editable = this.isEventoEditable();
+    const resultados = this.calculateConsolidatedScores();
+    const boton = (texto, icono, accion, clase = 'btn-secondary') => `
+      <button class="btn btn-sm ${clase}" onclick="${accion}" ${editable ? '' : 'disabled'}>
+        <i class="fas fa-${icono}"></i>
+        ${texto}
+      </button>
+    `;
+
+    tbody.innerHTML = this.categorias.map(categoria => {
+      const id = categoria.id;
+      const estado = this.estadoCategoria(id);
+      const revelado = this.reveladoHasta(id);
+      const piezas = resultados.filter(r => r.categoria === id).length;
+      const acciones = [];
+
+      if (estado === 'evaluacion' && gestionar) {
+        acciones.push(boton('Cerrar', 'lock', `app.cambiarEstadoCategoria('${id}', 'cerrada')`));
+      }
+      if (estado === 'cerrada') {
+        if (revisar) acciones.push(boton('Marcar revisada', 'clipboard-check', `app.cambiarEstadoCategoria('${id}', 'revisada')`, 'btn-primary'));
+        if (gestionar) acciones.push(boton('Reabrir', 'lock-open', `app.cambiarEstadoCategoria('${id}', 'evaluacion')`));
+      }
+      if (estado === 'revisada') {
+        if (gestionar) acciones.push(boton('Publicar', 'bullhorn', `app.cambiarEstadoCategoria('${id}', 'publicada')`, 'btn-primary'));
+        if (revisar) acciones.push(boton('Volver a cerrada', 'undo', `app.cambiarEstadoCategoria('${id}', 'cerrada')`));
+      }
+      if (estado === 'publicada') {
+        if (revelar && revelado !== 1) {
+          acciones.push(boton('Revelar siguiente puesto', 'eye', `app.revelarSiguiente('${id}')`, 'btn-primary'));
+          acciones.push(boton('Revelar todo', 'eye', `app.revelarPuesto('${id}', 1)`));
+        }
+        if (gestionar) acciones.push(boton('Retirar publicación', 'eye-slash', `app.cambiarEstadoCategoria('${id}', 'revisada')`));
+      }
+
+      const embargo = estado !== 'publicada' ? '' :
+        revelado === null ? 'Embargo: ningún puesto revelado' :
+        revelado === 1 ? 'Todos los puestos revelados' : `Revelado hasta el puesto ${revelado}`;
+
+      return `
+        <tr>
+          <td>${Utils.escapeHTML(categoria.nombre)}</td>
+          <td><span class="estado-publicacion estado-${estado}">${this.estadosPublicacion.find(e => e.id === estado).nombre}</span></td>
+          <td>${piezas}</td>
+          <td>${embargo}</td>
+          <td class="actions-cell">${acciones.join('')}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  get pantalla() {
+    return { ...this.pantallaPorDefecto, ...((this.evento && this.evento.pantalla) || {}) };
+  }
+
+  // Configuración de la pantalla pública en Resultados (permiso display.controlar)
+  updatePantallaConfig() {
+    const panel = document.getElementById('pantallaConfig');
+    if (!panel) return;
+
+    const visible = AuthManager.isLoggedIn('resultados') && AuthManager.can('display.controlar');
+    panel.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const form = document.getElementById('pantallaForm');
+    const pantalla = this.pantalla;
+    form.elements.intervalo.value = pantalla.intervalo;
+    form.elements.podio.value = pantalla.podio;
+    form.elements.mostrarPuntuaciones.checked = pantalla.mostrarPuntuaciones;
+    form.elements.mostrarJurados.checked = pantalla.mostrarJurados;
+  }
+
+  handlePantallaSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('display.controlar') || !this.requireEditableEvento()) return;
+
+    const formData = new FormData(e.target);
+    const intervalo = parseInt(formData.get('intervalo'));
+    const podio = parseInt(formData.get('podio'));
+
+    if (!(intervalo >= 5 && intervalo <= 300) || !(podio >= 1 && podio <= 10)) {
+      Utils.showNotification('Indica entre 5 y 300 segundos por categoría y entre 1 y 10 puestos', 'error');
+      return;
+    }
+
+    this.evento.pantalla = {
+      intervalo,
+      podio,
+      mostrarPuntuaciones: formData.get('mostrarPuntuaciones') === 'on',
+      mostrarJurados: formData.get('mostrarJurados') === 'on'
+    };
+    this.saveData({ action: 'update', collection: 'eventos', record: this.evento });
+    Utils.showNotification('Configuración de la pantalla pública guardada', 'success');
+  }
+
+  // Categorías publicadas del evento con resultados, en el orden configurado
+  displayCategorias() {
+    const resultados = this.calculateConsolidatedScores();
+    return this.categorias
+      .filter(categoria => this.estadoCategoria(categoria.id) === 'publicada')
+      .map(categoria => ({
+        categoria,
+        resultados: this.rankResultados(resultados.filter(r => r.categoria === categoria.id))
+      }))
+      .filter(grupo => grupo.resultados.length > 0);
+  }
+
+  startDisplay() {
+    this.displayIndex = 0;
+    this.displayRevelacion = null;
+    this.updateDisplay();
+    this.scheduleDisplayRotation();
+  }
+
+  stopDisplay() {
+    clearTimeout(this.displayTimer);
+    this.displayTimer = null;
+  }
+
+  // El intervalo se relee en cada vuelta para aplicar los cambios de configuración sin recargar
+  scheduleDisplayRotation() {
+    clearTimeout(this.displayTimer);
+    this.displayTimer = setTimeout(() => {
+      this.displayIndex++;
+      this.updateDisplay();
+      this.scheduleDisplayRotation();
+    }, this.pantalla.intervalo * 1000);
+  }
+
+  updateDisplay() {
+    const section = document.getElementById('display');
+    if (!section || !section.classList.contains('active')) return;
+
+    const pantalla = this.pantalla;
+    const grupos = this.displayCategorias();
+    const titulo = document.getElementById('displayCategoria');
+    const podio = document.getElementById('displayPodio');
+    const progreso = document.getElementById('displayProgreso');
+
+    document.getElementById('displayEvento').textContent = this.evento ? this.evento.nombre : '';
+
+    // Al revelar un puesto la pantalla salta a esa categoría y reinicia la rotación
+    const revelacion = (this.evento && this.evento.revelacion) || {};
+    if (this.displayRevelacion) {
+      const revelada = grupos.findIndex(grupo => revelacion[grupo.categoria.id] !== this.displayRevelacion[grupo.categoria.id]);
+      if (revelada !== -1) {
+        this.displayIndex = revelada;
+        this.scheduleDisplayRotation();
+      }
+    }
+    this.displayRevelacion = { ...revelacion };
+
+    if (grupos.length === 0) {
+      titulo.textContent = '';
+      progreso.innerHTML = '';
+      podio.innerHTML = `
+        <div class="display-empty">
+          <i class="fas fa-hourglass-half"></i>
+          <span>Los resultados aparecerán aquí cuando se publiquen</span>
+        </div>
+      `;
+      return;
+    }
+
+    const index = this.displayIndex % grupos.length;
+    const { categoria, resultados } = grupos[index];
+    const revelado = this.reveladoHasta(categoria.id);
+
+    titulo.textContent = categoria.nombre;
+    progreso.innerHTML = grupos.map((grupo, i) => `
+      <span class="display-dot ${i === index ? 'active' : ''}" title="${Utils.escapeHTML(grupo.categoria.nombre)}"></span>
+    `).join('');
+
+    // Los puestos aún no revelados se muestran vacíos, uno por posición
+    const ocultos = [...new Set(resultados
+      .filter(resultado => resultado.posicion <= pantalla.podio && (revelado === null || resultado.posicion < revelado))
+      .map(resultado => resultado.posicion))];
+
+    podio.innerHTML = ocultos.map(posicion => `
+      <div class="display-puesto puesto-${posicion} oculto">
+        <div class="display-medalla">${this.medalIcon(posicion) || `#${posicion}`}</div>
+        <div class="display-nombre">?</div>
+      </div>
+    `).join('') + resultados
+      .filter(resultado => resultado.posicion <= pantalla.podio && revelado !== null && resultado.posicion >= revelado)
+      .map(resultado => {
+        const pieza = this.piezas.find(p => p.id === resultado.piezaId);
+        const foto = pieza && (pieza.fotos || [])[0];
+
+        return `
+          <div class="display-puesto puesto-${resultado.posicion}">
+            <div class="display-medalla">${this.medalIcon(resultado.posicion) || `#${resultado.posicion}`}</div>
+            ${foto ? `<img class="display-foto" src="${Utils.escapeHTML(foto.url)}" alt="${Utils.escapeHTML(resultado.tatuador)}">` : ''}
+            <div class="display-nombre">${Utils.escapeHTML(resultado.tatuador)}</div>
+            ${resultado.empate ? '<span class="tie-badge">Empate</span>' : ''}
+            ${pantalla.mostrarPuntuaciones ? `<div class="display-puntuacion">${resultado.puntuacionConsolidada.toFixed(2)}</div>` : ''}
+            ${pantalla.mostrarJurados ? `<div class="display-jurados">${Utils.escapeHTML(resultado.jurados.join(', '))}</div>` : ''}
+          </div>
+        `;
+      }).join('');
+  }
+
+  toggleDisplayFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen();
+    }
+  }
+
+  get votacion() {
+    return { ...this.votacionPorDefecto, ...((this.evento && this.evento.votacion) || {}) };
+  }
+
+  // Identificador anónimo de este dispositivo; el servidor solo guarda su huella
+  get dispositivoVoto() {
+    let dispositivo = localStorage.getItem('tattooRatingDispositivo');
+    if (!dispositivo) {
+      dispositivo = Utils.generateId() + Utils.generateId();
+      localStorage.setItem('tattooRatingDispositivo', dispositivo);
+    }
+    return dispositivo;
+  }
+
+  // Pieza votada desde este dispositivo en el evento seleccionado. Con código de entrada es solo
+  // informativo: desde un mismo dispositivo puede votarse con varios códigos
+  get votoEmitido() {
+    const votos = JSON.parse(localStorage.getItem('tattooRatingVotos') || '{}');
+    return (this.evento && votos[this.evento.id]) || null;
+  }
+
+  recordarVoto(piezaId) {
+    const votos = JSON.parse(localStorage.getItem('tattooRatingVotos') || '{}');
+    votos[this.evento.id] = piezaId;
+    localStorage.setItem('tattooRatingVotos', JSON.stringify(votos));
+  }
+
+  // Página pública de votación (#votar, o #votar/<piezaId> para una sola pieza)
+  updateVotacionUI() {
+    const section = document.getElementById('votar');
+    if (!section || !section.classList.contains('active')) return;
+
+    const votacion = this.votacion;
+    const emitido = this.votoEmitido;
+    const bloqueado = !!emitido && !votacion.requiereTicket;
+    const estado = document.getElementById('votarEstado');
+    const contenedor = document.getElementById('votarPiezas');
+    const categoriaSelect = document.getElementById('votarCategoria');
+
+    document.getElementById('votarEvento').textContent = this.evento ? this.evento.nombre : '';
+    document.getElementById('votarTicket').classList.toggle('hidden', !votacion.abierta || !votacion.requiereTicket);
+
+    if (!votacion.abierta) {
+      estado.innerHTML = '<i class="fas fa-lock"></i> La votación del público está cerrada';
+    } else if (bloqueado) {
+      estado.innerHTML = '<i class="fas fa-check-circle"></i> ¡Gracias! Tu voto ya está registrado';
+    } else if (votacion.requiereTicket) {
+      estado.innerHTML = '<i class="fas fa-vote-yea"></i> Elige tu pieza favorita: cada código de entrada vale para un voto';
+    } else {
+      estado.innerHTML = '<i class="fas fa-vote-yea"></i> Elige tu pieza favorita: solo puedes votar una vez';
+    }
+    estado.className = `votar-estado ${votacion.abierta && !bloqueado ? 'abierta' : ''}`;
+
+    const piezasConCategoria = this.eventRecords('piezas').filter(pieza => this.categorias.some(c => c.id === pieza.categoria));
+    if (categoriaSelect) {
+      const seleccionada = categoriaSelect.value;
+      categoriaSelect.innerHTML = '<option value="">Todas las categorías</option>' + this.categorias
+        .filter(categoria => piezasConCategoria.some(p => p.categoria === categoria.id))
+        .map(categoria => `<option value="${Utils.escapeHTML(categoria.id)}">${Utils.escapeHTML(categoria.nombre)}</option>`)
+        .join('');
+      categoriaSelect.value = seleccionada;
+      categoriaSelect.closest('.filter-section').classList.toggle('hidden', !!this.votoPiezaId);
+    }
+
+    let piezas = piezasConCategoria;
+    if (this.votoPiezaId) {
+      piezas = piezas.filter(p => p.id === this.votoPiezaId);
+    } else if (categoriaSelect && categoriaSelect.value) {
+      piezas = piezas.filter(p => p.categoria === categoriaSelect.value);
+    }
+
+    if (piezas.length === 0) {
+      contenedor.innerHTML = `
+        <div class="display-empty">
+          <i class="fas fa-info-circle"></i>
+          <span>${this.votoPiezaId ? 'La pieza indicada no existe en este evento' : 'No hay piezas inscritas'}</span>
+        </div>
+      `;
+      return;
+    }
+
+    // Página pública: todo dato del evento se escapa y el id de la pieza viaja en un atributo data-
+    const puedeVotar = votacion.abierta && !bloqueado;
+    contenedor.innerHTML = piezas.map(pieza => {
+      const tatuador = this.tatuadorDe(pieza);
+      const foto = (pieza.fotos || [])[0];
+      const piezaId = Utils.escapeHTML(pieza.id);
+
+      return `
+        <div class="votar-card ${emitido === pieza.id ? 'votada' : ''}">
+          ${foto
+            ? `<img class="votar-foto" src="${Utils.escapeHTML(foto.url)}" alt="${Utils.escapeHTML(this.piezaLabel(pieza))}" data-pieza-id="${piezaId}" onclick="app.showGaleria(this.dataset.piezaId)">`
+            : '<div class="votar-foto foto-vacia"><i class="fas fa-image"></i></div>'}
+          <div class="votar-info">
+            <strong>${Utils.escapeHTML(tatuador ? tatuador.nombre : 'Tatuador eliminado')}</strong>
+            <span class="category-badge">${Utils.escapeHTML(Utils.formatCategoryName(pieza.categoria))}</span>
+            ${pieza.zona ? `<small class="text-muted">${Utils.escapeHTML(pieza.zona)}</small>` : ''}
+          </div>
+          ${emitido === pieza.id ? '<span class="votar-badge"><i class="fas fa-heart"></i> Tu voto</span>' : ''}
+          <button type="button" class="btn btn-primary" data-pieza-id="${piezaId}" onclick="app.votar(this.dataset.piezaId)" ${puedeVotar ? '' : 'disabled'}>
+            <i class="fas fa-heart"></i>
+            Votar
+          </button>
+        </div>
+      `;
+    }).join('') + (this.votoPiezaId ? `
+      <a href="#votar" class="btn btn-secondary votar-todas">
+        <i class="fas fa-th"></i>
+        Ver todas las piezas
+      </a>
+    ` : '');
+  }
+
+  // El voto va directo al servidor: sin conexión no se puede votar (no pasa por la cola offline)
+  async votar(piezaId) {
+    const votacion = this.votacion;
+    const pieza = this.piezas.find(p => p.id === piezaId);
+    if (!pieza || !votacion.abierta || (this.votoEmitido && !votacion.requiereTicket)) return;
+
+    const ticket = document.getElementById('votarTicketInput')?.value.trim() || '';
+    if (votacion.requiereTicket && !ticket) {
+      Utils.showNotification('Introduce el código de tu entrada para votar', 'error');
+      return;
+    }
+
+    if (!confirm(`¿Votar por ${this.piezaLabel(pieza)}? ${votacion.requiereTicket ? 'El código solo vale para un voto.' : 'Solo puedes votar una vez.'}`)) return;
+
+    try {
+      const voto = await APIClient.post('/votos', {
+        eventoId: this.evento.id,
+        piezaId,
+        dispositivo: this.dispositivoVoto,
+        ticket
+      });
+
+      if (!this.votos.some(v => v.id === voto.id)) {
+        this.votos.push(voto);
+      }
+      this.recordarVoto(piezaId);
+      const ticketInput = document.getElementById('votarTicketInput');
+      if (ticketInput) ticketInput.value = '';
+      this.saveLocalData();
+      this.updateVotacionUI();
+      Utils.showNotification('¡Voto registrado! Gracias por participar', 'success');
+    } catch (error) {
+      Utils.showNotification(AuthManager.describeError(error, 'No se pudo registrar el voto'), 'error');
     }
   }
 
-  updateJuradosTable() {
-    const tbody = document.getElementById('juradosTable');
-    if (!tbody) return;
+  // Clasificación del Premio del Público: votos por pieza, con posiciones compartidas en los empates
+  calculateVotosPublico(categoria = '') {
+    const votos = this.eventRecords('votos');
+    const conteo = {};
+    votos.forEach(voto => {
+      conteo[voto.piezaId] = (conteo[voto.piezaId] || 0) + 1;
+    });
 
-    if (this.jurados.length === 0) {
-      tbody.innerHTML = '<tr class="no-data"><td colspan="5">No hay jurados registrados</td></tr>';
-    } else {
-      tbody.innerHTML = this.jurados.map(jurado => `
-        <tr>
-          <td>${jurado.nombre}</td>
-          <td>${jurado.email}</td>
-          <td>${jurado.experiencia} años</td>
-          <td>${jurado.especialidad}</td>
-          <td class="actions-cell">
-            <button class="btn btn-sm btn-danger" onclick="app.deleteJurado('${jurado.id}')">
-              <i class="fas fa-trash"></i>
-            </button>
-          </td>
-        </tr>
-      `).join('');
-    }
+    const clasificacion = Object.entries(conteo)
+      .map(([piezaId, total]) => ({ pieza: this.piezas.find(p => p.id === piezaId), total }))
+      .filter(entrada => entrada.pieza && (!categoria || entrada.pieza.categoria === categoria))
+      .sort((a, b) => b.total - a.total);
+
+    const totalVotos = clasificacion.reduce((sum, entrada) => sum + entrada.total, 0);
+    return clasificacion.map(entrada => ({
+      ...entrada,
+      posicion: clasificacion.findIndex(e => e.total === entrada.total) + 1,
+      empate: clasificacion.filter(e => e.total === entrada.total).length > 1,
+      porcentaje: totalVotos ? (entrada.total / totalVotos) * 100 : 0
+    }));
   }
 
-  updateEvaluacionesTable() {
-    const tbody = document.getElementById('evaluacionesTable');
+  updateVotosPublicoTable(categoria = '') {
+    const tbody = document.getElementById('votosPublicoTable');
     if (!tbody) return;
 
-    if (this.evaluaciones.length === 0) {
-      tbody.innerHTML = '<tr class="no-data"><td colspan="6">No hay evaluaciones realizadas</td></tr>';
-    } else {
-      tbody.innerHTML = this.evaluaciones.map(evaluacion => {
-        const fecha = new Date(evaluacion.fecha).toLocaleDateString('es-ES');
-        return `
-          <tr>
-            <td>${evaluacion.jurado}</td>
-            <td>${evaluacion.tatuador}</td>
-            <td><span class="category-badge">${Utils.formatCategoryName(evaluacion.categoria)}</span></td>
-            <td class="score-cell">
-              <span class="score-value">${evaluacion.puntuacionTotal}</span>
-            </td>
-            <td>${fecha}</td>
-            <td class="actions-cell">
-              <button class="btn btn-sm btn-danger" onclick="app.deleteEvaluacion('${evaluacion.id}')">
-                <i class="fas fa-trash"></i>
-              </button>
-            </td>
-          </tr>
-        `;
-      }).join('');
+    const clasificacion = this.calculateVotosPublico(categoria);
+    if (clasificacion.length === 0) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="5">Todavía no hay votos del público</td></tr>';
+      return;
     }
-  }
 
-  updateAdminStats() {
-    const totalTatuadores = document.getElementById('totalTatuadores');
-    const totalJurados = document.getElementById('totalJurados');
-    const totalEvaluaciones = document.getElementById('totalEvaluaciones');
-    const promedioGeneral = document.getElementById('promedioGeneral');
+    tbody.innerHTML = clasificacion.map(entrada => {
+      const tatuador = this.tatuadorDe(entrada.pieza);
+      return `
+        <tr class="result-row ranking-${entrada.posicion}">
+          <td class="ranking-cell">
+            <div class="ranking-display">
+              ${this.medalIcon(entrada.posicion)}
+              <span class="ranking-number">#${entrada.posicion}</span>
+              ${entrada.empate ? '<span class="tie-badge">Empate</span>' : ''}
+            </div>
+          </td>
+          <td>${tatuador ? Utils.escapeHTML(tatuador.nombre) : 'Tatuador eliminado'}</td>
+          <td><span class="category-badge">${Utils.escapeHTML(Utils.formatCategoryName(entrada.pieza.categoria))}</span></td>
+          <td>${entrada.total}</td>
+          <td>${entrada.porcentaje.toFixed(1)}%</td>
+        </tr>
+      `;
+    }).join('');
+  }
 
-    if (totalTatuadores) totalTatuadores.textContent = this.tatuadores.length;
-    if (totalJurados) totalJurados.textContent = this.jurados.length;
-    if (totalEvaluaciones) totalEvaluaciones.textContent = this.evaluaciones.length;
+  // Controles del voto del público en Configuración (permiso eventos.gestionar)
+  async updateVotacionConfig() {
+    const abierta = document.getElementById('votacionAbierta');
+    if (!abierta) return;
+
+    const editable = this.isEventoEditable() && AuthManager.can('eventos.gestionar');
+    const votacion = this.votacion;
+    const requiereTicket = document.getElementById('votacionTicket');
+    abierta.checked = votacion.abierta;
+    abierta.disabled = !editable;
+    requiereTicket.checked = votacion.requiereTicket;
+    requiereTicket.disabled = !editable;
+    document.getElementById('ticketsGenerarBtn').disabled = !editable;
+
+    const resumen = document.getElementById('votacionResumen');
+    const votos = this.eventRecords('votos').length;
+    resumen.textContent = `${votos} voto(s) registrados`;
+
+    // Los códigos nunca se descargan: solo el recuento de generados y usados
+    if (!AuthManager.isLoggedIn('administracion') || !AuthManager.can('eventos.gestionar')) return;
+    try {
+      const tickets = await APIClient.get(`/votacion/tickets?eventoId=${encodeURIComponent(this.eventoId)}`);
+      resumen.textContent = `${votos} voto(s) registrados · ${tickets.usados} de ${tickets.total} código(s) de entrada usados`;
+    } catch (error) {
+      console.warn('No se pudo obtener el resumen de códigos de entrada:', error.message);
+    }
+  }
 
-    if (promedioGeneral) {
-      const promedio = this.evaluaciones.length > 0 
-        ? (this.evaluaciones.reduce((sum, ev) => sum + ev.puntuacionTotal, 0) / this.evaluaciones.length).toFixed(2)
-        : '0.00';
-      promedioGeneral.textContent = promedio;
+  async setVotacion(cambios) {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) {
+      this.updateVotacionConfig();
+      return;
     }
+
+    await this.saveEventoConfig((categorias, criterios, evento) => {
+      evento.votacion = { ...this.votacion, ...cambios };
+    });
+    Utils.showNotification(this.votacion.abierta ? 'Votación del público abierta' : 'Votación del público cerrada', 'success');
   }
 
-  updateHomeStats() {
-    const homeTatuadores = document.getElementById('homeStatTatuadores');
-    const homeJurados = document.getElementById('homeStatJurados');
-    const homeEvaluaciones = document.getElementById('homeStatEvaluaciones');
+  // Los códigos solo se muestran al generarlos: el servidor guarda su huella
+  async generarTickets() {
+    if (!this.requirePermission('eventos.gestionar') || !this.requireEditableEvento()) return;
 
-    if (homeTatuadores) {
-      Utils.animateNumber(homeTatuadores, 0, this.tatuadores.length);
-    }
-    if (homeJurados) {
-      Utils.animateNumber(homeJurados, 0, this.jurados.length);
+    const cantidad = parseInt(document.getElementById('ticketsCantidad')?.value);
+    if (!(cantidad >= 1 && cantidad <= 1000)) {
+      Utils.showNotification('Indica entre 1 y 1000 códigos', 'error');
+      return;
     }
-    if (homeEvaluaciones) {
-      Utils.animateNumber(homeEvaluaciones, 0, this.evaluaciones.length);
+
+    try {
+      const resultado = await APIClient.post('/votacion/tickets', { eventoId: this.eventoId, cantidad });
+      this.showTickets(resultado.codigos);
+      this.updateVotacionConfig();
+    } catch (error) {
+      Utils.showNotification(AuthManager.describeError(error, 'No se pudieron generar los códigos'), 'error');
     }
   }
 
-  updateAllUI() {
-    // Actualizar todas las interfaces tras sincronización
-    this.updateHomeStats();
-    this.updateAdminUI();
-    this.updateEvaluationSelects();
-    this.updateResultadosUI();
-    this.updateScoreSection();
+  showTickets(codigos) {
+    document.getElementById('ticketsModal')?.remove();
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'ticketsModal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>
+            <i class="fas fa-ticket-alt"></i>
+            ${codigos.length} código(s) de entrada
+          </h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="modal-body">
+          <p class="form-hint">Guarda o imprime estos códigos ahora: no se pueden volver a consultar.</p>
+          <textarea class="form-control tickets-lista" rows="10" readonly>${codigos.join('\n')}</textarea>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
   }
 
   updateScoreSection() {
@@ -1680,7 +5223,7 @@ class TattooRatingApp {
   }
 
   updateScoreMetrics() {
-    const consolidatedScores = this.calculateConsolidatedScores();
+    const consolidatedScores = this.resultadosVisibles(this.calculateConsolidatedScores());
 
     const avgScoreElement = document.getElementById('avgScore');
     const topScoreElement = document.getElementById('topScore');
@@ -1689,15 +5232,11 @@ class TattooRatingApp {
 
     if (consolidatedScores.length > 0) {
       // Calcular promedio general
-      const totalPoints = consolidatedScores.reduce((sum, score) => {
-        return sum + (score.puntuacionConsolidada / score.numeroEvaluaciones);
-      }, 0);
+      const totalPoints = consolidatedScores.reduce((sum, score) => sum + score.puntuacionConsolidada, 0);
       const generalAverage = (totalPoints / consolidatedScores.length).toFixed(2);
 
       // Calcular puntuación máxima
-      const maxScore = Math.max(...consolidatedScores.map(score => 
-        score.puntuacionConsolidada / score.numeroEvaluaciones
-      )).toFixed(2);
+      const maxScore = Math.max(...consolidatedScores.map(score => score.puntuacionConsolidada)).toFixed(2);
 
       // Contar categorías únicas
       const uniqueCategories = new Set(consolidatedScores.map(s => s.categoria));
@@ -1719,7 +5258,7 @@ class TattooRatingApp {
     const tableBody = document.getElementById('scoresTableBody');
     const categoriaFilter = document.getElementById('scoreCategoria')?.value || '';
 
-    const consolidatedScores = this.calculateConsolidatedScores();
+    const consolidatedScores = this.resultadosVisibles(this.calculateConsolidatedScores());
 
     let filteredScores = consolidatedScores;
     if (categoriaFilter) {
@@ -1732,7 +5271,7 @@ class TattooRatingApp {
     if (filteredScores.length === 0) {
       tableBody.innerHTML = `
         <tr class="no-data">
-          <td colspan="4">
+          <td colspan="5">
             <i class="fas fa-info-circle"></i>
             <span>No hay evaluaciones disponibles</span>
           </td>
@@ -1740,23 +5279,24 @@ class TattooRatingApp {
       `;
     } else {
       tableBody.innerHTML = filteredScores.map((score) => {
-        const criteriaAverages = this.calculateCriteriaAverages(score.tatuador, score.categoria);
+        const criteriaAverages = this.calculateCriteriaAverages(score.piezaId, score.categoria);
 
         return `
           <tr class="score-row">
             <td class="artist-cell">
               <div class="artist-info">
                 <span class="artist-name">${score.tatuador}</span>
+                ${score.pieza ? `<small class="text-muted">${Utils.escapeHTML(score.pieza)}</small>` : ''}
               </div>
             </td>
             <td class="category-cell">
-              <span class="category-badge">${Utils.formatCategoryName(score.categoria)}</span>
+              <span class="category-badge">${Utils.escapeHTML(Utils.formatCategoryName(score.categoria))}</span>
             </td>
             <td class="criteria-cell">
               <div class="criteria-averages">
                 ${Object.entries(criteriaAverages).map(([criterio, promedio]) => 
                   `<div class="criterio-avg">
-                    <span class="criterio-name">${criterio.toUpperCase()}:</span>
+                    <span class="criterio-name">${Utils.escapeHTML(this.criterioNombre(score.categoria, criterio).toUpperCase())}:</span>
                     <span class="criterio-value">${promedio.toFixed(2)}</span>
                   </div>`
                 ).join('')}
@@ -1770,6 +5310,14 @@ class TattooRatingApp {
                 </div>
               </div>
             </td>
+            <td class="actions-cell">
+              <button class="btn btn-sm btn-secondary" title="Desglose de puntuación" data-pieza="${score.piezaId}" onclick="app.showScoreBreakdown(this.dataset.pieza)">
+                <i class="fas fa-chart-pie"></i>
+              </button>
+              <button class="btn btn-sm btn-secondary" title="Detalle de evaluaciones" data-pieza="${score.piezaId}" onclick="app.showScoreDetail(this.dataset.pieza)">
+                <i class="fas fa-info-circle"></i>
+              </button>
+            </td>
           </tr>
         `;
       }).join('');
@@ -1777,6 +5325,10 @@ class TattooRatingApp {
   }
 
   setupScoreFilters() {
+    // Los listeners se registran una sola vez aunque la sección se refresque a menudo
+    if (this.scoreFiltersReady) return;
+    this.scoreFiltersReady = true;
+
     const categoriaFilter = document.getElementById('scoreCategoria');
     const orderFilter = document.getElementById('scoreOrder');
 
@@ -1789,14 +5341,29 @@ class TattooRatingApp {
     }
   }
 
-  showScoreBreakdown(tatuador, categoria) {
-    this.pendingScoreAction = { action: 'breakdown', tatuador, categoria };
-    this.showScoreAuthModal();
+  // El desglose y el detalle requieren el permiso de análisis de puntuaciones;
+  // sin él se pide iniciar sesión y la acción queda pendiente hasta entonces
+  showScoreBreakdown(piezaId) {
+    this.runScoreAction({ action: 'breakdown', piezaId });
+  }
+
+  showScoreDetail(piezaId) {
+    this.runScoreAction({ action: 'detail', piezaId });
   }
 
-  showScoreDetail(tatuador, categoria) {
-    this.pendingScoreAction = { action: 'detail', tatuador, categoria };
-    this.showScoreAuthModal();
+  runScoreAction(scoreAction) {
+    if (!AuthManager.can('score.analizar')) {
+      this.pendingScoreAction = scoreAction;
+      this.showScoreAuthModal();
+      return;
+    }
+
+    const { action, piezaId } = scoreAction;
+    if (action === 'breakdown') {
+      this.executeScoreBreakdown(piezaId);
+    } else if (action === 'detail') {
+      this.executeScoreDetail(piezaId);
+    }
   }
 
   showScoreAuthModal() {
@@ -1819,44 +5386,41 @@ class TattooRatingApp {
     this.pendingScoreAction = null;
   }
 
-  handleScoreAuth(username, password) {
-    if (username === 'admin' && password === 'Colombia2026') {
-      this.hideScoreAuthModal();
+  async handleScoreAuth(username, password) {
+    const result = await AuthManager.login(username, password, 'score');
 
-      if (this.pendingScoreAction) {
-        const { action, tatuador, categoria } = this.pendingScoreAction;
+    if (!result.success) {
+      Utils.showNotification(result.message || 'Credenciales incorrectas', 'error');
+      return;
+    }
 
-        if (action === 'breakdown') {
-          this.executeScoreBreakdown(tatuador, categoria);
-        } else if (action === 'detail') {
-          this.executeScoreDetail(tatuador, categoria);
-        }
+    const pendingScoreAction = this.pendingScoreAction;
+    this.hideScoreAuthModal();
 
-        this.pendingScoreAction = null;
-      }
-    } else {
-      Utils.showNotification('Credenciales incorrectas', 'error');
+    if (pendingScoreAction) {
+      this.runScoreAction(pendingScoreAction);
     }
   }
 
-  executeScoreBreakdown(tatuador, categoria) {
-    const evaluaciones = this.evaluaciones.filter(e => 
-      e.tatuador === tatuador && e.categoria === categoria
-    );
+  executeScoreBreakdown(piezaId) {
+    const evaluaciones = this.evaluacionesDePieza(piezaId);
 
     if (evaluaciones.length === 0) {
       Utils.showNotification('No hay evaluaciones para mostrar', 'info');
       return;
     }
 
+    const { tatuador, categoria } = evaluaciones[0];
+    const pieza = this.piezas.find(p => p.id === piezaId);
+
     // Calculate criteria averages
     const criteriaAverages = {};
-    const criteriaNames = ['tecnica', 'creatividad', 'composicion', 'color', 'dificultad'];
+    const criterios = this.criteriosDe(categoria);
 
-    criteriaNames.forEach(criterio => {
-      const values = evaluaciones.map(e => e.criterios[criterio] || 0);
+    criterios.forEach(criterio => {
+      const values = evaluaciones.map(e => e.criterios[criterio.id] || 0);
       const average = values.reduce((sum, val) => sum + val, 0) / values.length;
-      criteriaAverages[criterio] = average;
+      criteriaAverages[criterio.id] = average;
     });
 
     const modal = document.createElement('div');
@@ -1876,20 +5440,22 @@ class TattooRatingApp {
         <div class="modal-body">
           <div class="breakdown-header">
             <h4>${tatuador}</h4>
-            <p><strong>Categoría:</strong> ${Utils.formatCategoryName(categoria)}</p>
+            <p><strong>Categoría:</strong> ${Utils.escapeHTML(Utils.formatCategoryName(categoria))}</p>
+            ${pieza ? `<p><strong>Pieza:</strong> ${Utils.escapeHTML(this.describirPieza(pieza))}</p>` : ''}
             <p><strong>Evaluaciones:</strong> ${evaluaciones.length}</p>
+            <p><strong>Puntuación consolidada (${this.consolidacion.label}):</strong> ${this.consolidarEvaluaciones(evaluaciones, categoria).toFixed(2)}</p>
           </div>
 
           <div class="criteria-breakdown">
             <h5>Promedio por Criterio</h5>
-            ${criteriaNames.map(criterio => `
+            ${criterios.map(criterio => `
               <div class="criterio-breakdown-item">
                 <div class="criterio-info">
-                  <span class="criterio-name">${criterio.toUpperCase()}</span>
-                  <span class="criterio-score">${criteriaAverages[criterio].toFixed(2)}/10</span>
+                  <span class="criterio-name">${Utils.escapeHTML(criterio.nombre.toUpperCase())}${criterio.peso !== 1 ? ` (peso ${criterio.peso})` : ''}</span>
+                  <span class="criterio-score">${criteriaAverages[criterio.id].toFixed(2)}/${criterio.max}</span>
                 </div>
                 <div class="criterio-bar">
-                  <div class="criterio-fill" style="width: ${(criteriaAverages[criterio] / 10) * 100}%"></div>
+                  <div class="criterio-fill" style="width: ${(criteriaAverages[criterio.id] / criterio.max) * 100}%"></div>
                 </div>
               </div>
             `).join('')}
@@ -1904,6 +5470,7 @@ class TattooRatingApp {
                   <span class="eval-score">${evaluation.puntuacionTotal}</span>
                 </div>
                 <div class="eval-date">${new Date(evaluation.fecha).toLocaleDateString()}</div>
+                ${this.renderRevisiones(evaluation)}
               </div>
             `).join('')}
           </div>
@@ -1914,16 +5481,44 @@ class TattooRatingApp {
     document.body.appendChild(modal);
   }
 
-  executeScoreDetail(tatuador, categoria) {
-    const evaluaciones = this.evaluaciones.filter(e => 
-      e.tatuador === tatuador && e.categoria === categoria
-    );
+  // Historial de correcciones de una evaluación: valores originales y corregidos
+  renderRevisiones(evaluacion) {
+    const revisiones = evaluacion.revisiones || [];
+    if (revisiones.length === 0) return '';
+
+    const original = revisiones[0].anterior;
+    return `
+      <div class="eval-revisions">
+        <small><strong>Original:</strong> ${Utils.escapeHTML(original.puntuacionTotal)}</small>
+        <ul class="evaluaciones-list">
+          ${revisiones.map(revision => {
+            const cambios = this.criteriosDe(evaluacion.categoria)
+              .filter(criterio => revision.criterios[criterio.id] !== revision.anterior.criterios[criterio.id])
+              .map(criterio => `${criterio.nombre} ${revision.anterior.criterios[criterio.id] ?? '-'} → ${revision.criterios[criterio.id]}`)
+              .join(', ');
+            return `
+              <li>
+                ${revision.estado === 'aprobada' ? 'Corregida' : 'Corrección rechazada'}: ${Utils.escapeHTML(revision.anterior.puntuacionTotal)} → ${Utils.escapeHTML(revision.puntuacionTotal)} (${Utils.escapeHTML(cambios)})
+                <br><small class="text-muted">${Utils.escapeHTML(revision.motivo)} · ${Utils.escapeHTML(revision.solicitadaPor)}, ${Utils.escapeHTML(revision.estado)} por ${Utils.escapeHTML(revision.resueltaPor)} el ${new Date(revision.fechaResolucion).toLocaleString('es-ES')}</small>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  executeScoreDetail(piezaId) {
+    const evaluaciones = this.evaluacionesDePieza(piezaId);
 
     if (evaluaciones.length === 0) {
       Utils.showNotification('No hay evaluaciones para mostrar', 'info');
       return;
     }
 
+    const { tatuador, categoria } = evaluaciones[0];
+    const pieza = this.piezas.find(p => p.id === piezaId);
+
     const totalScore = evaluaciones.reduce((sum, e) => sum + e.puntuacionTotal, 0);
     const avgScore = totalScore / evaluaciones.length;
 
@@ -1944,11 +5539,20 @@ class TattooRatingApp {
         <div class="modal-body">
           <div class="detail-header">
             <h4>${tatuador}</h4>
-            <p><strong>Categoría:</strong> ${Utils.formatCategoryName(categoria)}</p>
+            <p><strong>Categoría:</strong> ${Utils.escapeHTML(Utils.formatCategoryName(categoria))}</p>
+            ${pieza ? `<p><strong>Pieza:</strong> ${Utils.escapeHTML(this.describirPieza(pieza))}</p>` : ''}
+            <p><strong>Puntuación consolidada (${this.consolidacion.label}):</strong> ${this.consolidarEvaluaciones(evaluaciones, categoria).toFixed(2)}</p>
             <p><strong>Puntuación Promedio:</strong> ${avgScore.toFixed(2)}</p>
             <p><strong>Total de Evaluaciones:</strong> ${evaluaciones.length}</p>
           </div>
 
+          ${pieza && (pieza.fotos || []).length > 0 ? `
+            <div class="pieza-fotos-detail">
+              <h5>Fotos de la Pieza</h5>
+              ${this.renderGaleria(pieza)}
+            </div>
+          ` : ''}
+
           <div class="evaluations-detail">
             <h5>Historial de Evaluaciones</h5>
             <div class="evaluations-timeline">
@@ -1963,7 +5567,7 @@ class TattooRatingApp {
                     <div class="timeline-date">${new Date(evaluation.fecha).toLocaleDateString()}</div>
                     <div class="criteria-summary">
                       ${Object.entries(evaluation.criterios).map(([criterio, valor]) => 
-                        `<span class="criterio-chip">${criterio}: ${valor}</span>`
+                        `<span class="criterio-chip">${Utils.escapeHTML(this.criterioNombre(categoria, criterio))}: ${Utils.escapeHTML(valor)}</span>`
                       ).join('')}
                     </div>
                   </div>
@@ -1978,30 +5582,35 @@ class TattooRatingApp {
     document.body.appendChild(modal);
   }
 
+  // Solo se exportan las categorías publicadas con todos sus puestos revelados
   exportScores() {
-    const consolidatedScores = this.calculateConsolidatedScores();
+    const consolidatedScores = this.calculateConsolidatedScores().filter(s => this.categoriaPublica(s.categoria));
 
     if (consolidatedScores.length === 0) {
-      Utils.showNotification('No hay puntuaciones para exportar', 'warning');
+      Utils.showNotification('No hay puntuaciones publicadas para exportar', 'warning');
       return;
     }
 
     const csvData = [
-      ['Posición', 'Tatuador', 'Categoría', 'Puntuación Total', 'Promedio', 'Evaluaciones', 'Jurados'],
-      ...consolidatedScores
-        .sort((a, b) => b.puntuacionConsolidada - a.puntuacionConsolidada)
-        .map((score, index) => [
-          index + 1,
+      ['Posición', 'Tatuador', 'Categoría', 'Pieza', 'ID Pieza', 'Puntuación Consolidada', 'Promedio', 'Evaluaciones', 'Jurados', 'Consolidación', 'Empate', 'Desempate'],
+      ...this.rankResultados(consolidatedScores)
+        .map(score => [
+          score.posicion,
           score.tatuador,
           Utils.formatCategoryName(score.categoria),
+          score.pieza,
+          score.piezaId || '',
           score.puntuacionConsolidada.toFixed(2),
-          (score.puntuacionConsolidada / score.numeroEvaluaciones).toFixed(2),
+          score.promedio.toFixed(2),
           score.numeroEvaluaciones,
-          score.jurados.join(', ')
+          score.jurados.join(', '),
+          this.consolidacion.label,
+          score.empate ? 'Sí' : 'No',
+          score.desempate
         ])
     ];
 
-    const csvContent = csvData.map(row => row.join(',')).join('\n');
+    const csvContent = Utils.toCSV(csvData);
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
     const link = document.createElement('a');
     const url = URL.createObjectURL(blob);
@@ -2018,10 +5627,13 @@ class TattooRatingApp {
   }
 
   deleteTatuador(id) {
+    if (!this.requirePermission('datos.eliminar') || !this.requireEditableEvento()) return;
     if (confirm('¿Estás seguro de eliminar este tatuador?')) {
       this.tatuadores = this.tatuadores.filter(t => t.id !== id);
+      this.piezas = this.piezas.filter(p => p.tatuadorId !== id);
       this.evaluaciones = this.evaluaciones.filter(e => e.tatuadorId !== id);
-      this.saveData();
+      this.votos = this.votos.filter(v => v.tatuadorId !== id);
+      this.saveData({ action: 'delete', collection: 'tatuadores', id });
       this.updateAdminUI();
       this.updateHomeStats();
       this.updateResultadosUI();
@@ -2030,10 +5642,11 @@ class TattooRatingApp {
   }
 
   deleteJurado(id) {
+    if (!this.requirePermission('datos.eliminar') || !this.requireEditableEvento()) return;
     if (confirm('¿Estás seguro de eliminar este jurado?')) {
       this.jurados = this.jurados.filter(j => j.id !== id);
       this.evaluaciones = this.evaluaciones.filter(e => e.juradoId !== id);
-      this.saveData();
+      this.saveData({ action: 'delete', collection: 'jurados', id });
       this.updateAdminUI();
       this.updateHomeStats();
       this.updateEvaluationSelects();
@@ -2043,9 +5656,10 @@ class TattooRatingApp {
   }
 
   deleteEvaluacion(id) {
+    if (!this.requirePermission('datos.eliminar') || !this.requireEditableEvento()) return;
     if (confirm('¿Estás seguro de eliminar esta evaluación?')) {
       this.evaluaciones = this.evaluaciones.filter(e => e.id !== id);
-      this.saveData();
+      this.saveData({ action: 'delete', collection: 'evaluaciones', id });
       this.updateAdminUI();
       this.updateHomeStats();
       this.updateResultadosUI();
@@ -2053,11 +5667,29 @@ class TattooRatingApp {
     }
   }
 
+  deletePieza(id) {
+    if (!this.requirePermission('datos.eliminar') || !this.requireEditableEvento()) return;
+    if (confirm('¿Eliminar esta pieza y sus evaluaciones?')) {
+      this.piezas = this.piezas.filter(p => p.id !== id);
+      this.evaluaciones = this.evaluaciones.filter(e => e.piezaId !== id);
+      this.votos = this.votos.filter(v => v.piezaId !== id);
+      this.saveData({ action: 'delete', collection: 'piezas', id });
+      this.updateAdminUI();
+      this.updateHomeStats();
+      this.updateResultadosUI();
+      this.updateEvaluationSelects();
+      Utils.showNotification('Pieza eliminada exitosamente', 'success');
+    }
+  }
+
   exportData() {
     const data = {
+      eventos: this.eventos,
       tatuadores: this.tatuadores,
+      piezas: this.piezas,
       jurados: this.jurados,
       evaluaciones: this.evaluaciones,
+      votos: this.votos,
       exportDate: new Date().toISOString()
     };
 
@@ -2072,25 +5704,60 @@ class TattooRatingApp {
     Utils.showNotification('Datos exportados exitosamente', 'success');
   }
 
-  // Mostrar credenciales de un módulo (solo admin)
-  showCredentials(section) {
-    if (!AuthManager.isLoggedIn('administracion')) {
-      Utils.showNotification('Acceso denegado', 'error');
-      return;
-    }
+  // Mostrar credenciales de un módulo (solo admin).
+  // La contraseña solo se conoce justo después de regenerarla (`issuedCredentials`).
+  async showCredentials(section, issuedCredentials = null) {
+    if (!this.requirePermission('usuarios.gestionar')) return;
 
-    const credentials = AuthManager.getCredentialsForAdmin(section);
+    const credentials = issuedCredentials || await AuthManager.getCredentialsForAdmin(section);
     if (!credentials) {
       Utils.showNotification('No se pudieron obtener las credenciales', 'error');
       return;
     }
 
     const sectionNames = {
-      evaluacion: 'Sistema de Evaluación',
       registro: 'Sistema de Registro',
       resultados: 'Sistema de Resultados'
     };
 
+    this.renderCredentialsModal(sectionNames[section], credentials);
+  }
+
+  // Credenciales individuales de un jurado (registro y administración)
+  async showJuradoCredentials(juradoId, issuedCredentials = null) {
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    if (!jurado) return;
+
+    const credentials = issuedCredentials || await AuthManager.getJuradoCredentials(juradoId);
+    if (!credentials) {
+      Utils.showNotification(`${jurado.nombre} aún no tiene credenciales. Usa "Regenerar" para crearlas.`, 'warning');
+      return;
+    }
+
+    this.renderCredentialsModal(`Jurado ${jurado.nombre}`, credentials);
+  }
+
+  async issueJuradoCredentials(juradoId) {
+    if (!this.requirePermission('registro.jurados')) return;
+
+    const result = await AuthManager.issueJuradoCredentials(juradoId);
+    if (result.success) {
+      this.showJuradoCredentials(juradoId, result.credentials);
+    } else {
+      Utils.showNotification(result.message, 'error');
+    }
+  }
+
+  regenerateJuradoCredentials(juradoId) {
+    const jurado = this.jurados.find(j => j.id === juradoId);
+    if (!jurado) return;
+
+    if (confirm(`¿Generar nuevas credenciales para ${jurado.nombre}?\n\nLa contraseña anterior dejará de funcionar y se cerrarán sus sesiones activas.`)) {
+      this.issueJuradoCredentials(juradoId);
+    }
+  }
+
+  renderCredentialsModal(title, credentials) {
     const modal = document.createElement('div');
     modal.className = 'modal active';
     modal.id = 'credentialsModal';
@@ -2099,7 +5766,7 @@ class TattooRatingApp {
         <div class="modal-header">
           <h3>
             <i class="fas fa-key"></i>
-            Credenciales - ${sectionNames[section]}
+            Credenciales - ${title}
           </h3>
           <button class="modal-close" onclick="this.closest('.modal').remove()">
             <i class="fas fa-times"></i>
@@ -2116,6 +5783,7 @@ class TattooRatingApp {
                 </button>
               </div>
             </div>
+            ${credentials.password ? `
             <div class="credential-item">
               <label><i class="fas fa-lock"></i> Contraseña:</label>
               <div class="credential-value">
@@ -2125,10 +5793,13 @@ class TattooRatingApp {
                 </button>
               </div>
             </div>
+            ` : ''}
           </div>
           <div class="credentials-warning">
             <i class="fas fa-exclamation-triangle"></i>
-            <strong>Importante:</strong> Estas credenciales son confidenciales. Solo compártelas con personal autorizado.
+            ${credentials.password
+              ? '<span><strong>Importante:</strong> Esta contraseña no se volverá a mostrar. Solo compártela con personal autorizado.</span>'
+              : '<span><strong>Importante:</strong> Las contraseñas se guardan cifradas en el servidor y no pueden consultarse. Regenera las credenciales para obtener una nueva.</span>'}
           </div>
         </div>
       </div>
@@ -2138,32 +5809,23 @@ class TattooRatingApp {
   }
 
   // Regenerar credenciales de un módulo (solo admin)
-  regenerateCredentials(section) {
-    if (!AuthManager.isLoggedIn('administracion')) {
-      Utils.showNotification('Acceso denegado', 'error');
-      return;
-    }
+  async regenerateCredentials(section) {
+    if (!this.requirePermission('usuarios.gestionar')) return;
 
     const sectionNames = {
-      evaluacion: 'Sistema de Evaluación',
       registro: 'Sistema de Registro',
       resultados: 'Sistema de Resultados'
     };
 
     if (confirm(`¿Estás seguro de regenerar las credenciales para ${sectionNames[section]}?\n\nEsto invalidará las credenciales actuales y cerrará las sesiones activas.`)) {
-      const result = AuthManager.regenerateCredentials(section, AuthManager.getCurrentUser('administracion'));
+      const result = await AuthManager.regenerateCredentials(section);
       
       if (result.success) {
-        // Cerrar sesiones activas del módulo
-        if (AuthManager.currentUser[section]) {
-          AuthManager.logout(section);
-        }
-
         Utils.showNotification(result.message, 'success');
 
         // Mostrar las nuevas credenciales
         setTimeout(() => {
-          this.showCredentials(section);
+          this.showCredentials(section, result.credentials);
         }, 500);
       } else {
         Utils.showNotification(result.message, 'error');
@@ -2172,42 +5834,81 @@ class TattooRatingApp {
   }
 
   resetSystem() {
+    if (!this.requirePermission('datos.reemplazar')) return;
     if (confirm('¿Estás seguro de resetear todo el sistema? Esta acción no se puede deshacer.')) {
+      this.eventos = [];
       this.tatuadores = [];
+      this.piezas = [];
       this.jurados = [];
       this.evaluaciones = [];
+      this.votos = [];
+      this.ensureEventos();
       this.saveData();
-      this.updateHomeStats();
-      this.updateAdminUI();
-      this.updateResultadosUI();
+      this.updateAllUI();
       Utils.showNotification('Sistema reseteado completamente', 'warning');
     }
   }
 
-  async saveData() {
+  // Guardar copia local como respaldo. Si no cabe, los datos siguen en memoria y en el servidor.
+  saveLocalData() {
     const data = {
+      eventos: this.eventos,
       tatuadores: this.tatuadores,
+      piezas: this.piezas,
       jurados: this.jurados,
       evaluaciones: this.evaluaciones,
+      votos: this.votos,
       version: '1.0',
       lastUpdate: new Date().toISOString()
     };
-    
+
     try {
-      // Guardar localmente como respaldo
-      localStorage.setItem('tattooRatingData', JSON.stringify(data));
-      
-      // Sincronizar con servidor global
-      const synced = await GlobalSyncManager.syncToServer(data);
+      localStorage.setItem('tattooRatingData', JSON.stringify({
+        ...data,
+        piezas: this.piezas.map(pieza => OfflineQueue.sinFotosPendientes(pieza))
+      }));
+      this.almacenamientoLleno = false;
+    } catch (error) {
+      if (!Utils.isQuotaExceeded(error)) throw error;
+      console.warn('⚠️ Almacenamiento local lleno: no se ha podido guardar la copia local');
+      if (!this.almacenamientoLleno) {
+        Utils.showNotification('El almacenamiento del dispositivo está lleno: no se ha podido guardar la copia local de los datos.', 'warning', 8000);
+      }
+      this.almacenamientoLleno = true;
+    }
+    return data;
+  }
+
+  // Con `mutation` solo se sincroniza el registro afectado; sin ella se envía el conjunto completo
+  async saveData(mutation = null) {
+    try {
+      // Marcar el registro como pendiente hasta que el servidor lo confirme
+      if (mutation && mutation.record) {
+        mutation.record.pendingSync = true;
+      }
+
+      const data = this.saveLocalData();
+
+      // Un reemplazo completo deja sin efecto los cambios individuales pendientes
+      if (!mutation) {
+        OfflineQueue.clear();
+      }
+
+      // Encolar y sincronizar con servidor global; si falla, se reintenta al reconectar
+      const queueId = OfflineQueue.enqueue(mutation || { action: 'replace', data });
+      await OfflineQueue.flush();
+      const synced = !OfflineQueue.entries.some(entry => entry.queueId === queueId) && !OfflineQueue.rejected.has(queueId);
       
       if (synced) {
         console.log('✅ Datos guardados y sincronizados globalmente');
       } else {
         console.log('📱 Datos guardados localmente (servidor no disponible)');
       }
+      return synced;
     } catch (error) {
       Utils.showNotification('Error al guardar datos', 'error');
       console.error('Error saving data:', error);
+      return false;
     }
   }
 
@@ -2273,13 +5974,149 @@ class TattooRatingApp {
   }
 
   // Manejar cambio de contraseña de administrador
-  handleAdminPasswordChange(e) {
+  // Cuentas y roles (panel de administración)
+  renderRoleOptions(selectedRoles, excluded = []) {
+    return Object.entries(this.rolesDisponibles)
+      .filter(([role]) => !excluded.includes(role))
+      .map(([role, info]) => `
+        <label class="role-option" title="${info.permissions.map(p => this.permisosDisponibles[p] || p).join('\n')}">
+          <input type="checkbox" value="${role}" ${selectedRoles.includes(role) ? 'checked' : ''}>
+          ${info.label}
+        </label>
+      `).join('');
+  }
+
+  async updateCuentasTable() {
+    const tbody = document.getElementById('cuentasTable');
+    if (!tbody || !AuthManager.can('usuarios.gestionar')) return;
+
+    let users;
+    try {
+      const [rolesInfo, cuentas] = await Promise.all([AuthManager.getRoles(), AuthManager.listUsers()]);
+      this.rolesDisponibles = rolesInfo.roles;
+      this.permisosDisponibles = rolesInfo.permissions;
+      users = cuentas;
+    } catch (error) {
+      tbody.innerHTML = '<tr class="no-data"><td colspan="5">No se pudieron cargar las cuentas (servidor no disponible)</td></tr>';
+      return;
+    }
+
+    // El rol Jurado solo se asigna a cuentas vinculadas a un jurado
+    const rolesContainer = document.getElementById('cuentaRoles');
+    if (rolesContainer) {
+      rolesContainer.innerHTML = this.renderRoleOptions([], ['jurado']);
+    }
+
+    tbody.innerHTML = users.map(user => {
+      const jurado = this.jurados.find(j => j.id === user.juradoId);
+      return `
+        <tr data-user-id="${user.id}">
+          <td>${user.username}</td>
+          <td>${user.email}</td>
+          <td>${jurado ? jurado.nombre : '-'}</td>
+          <td><div class="role-options">${this.renderRoleOptions(user.roles, user.juradoId ? [] : ['jurado'])}</div></td>
+          <td class="actions-cell">
+            <button class="btn btn-sm btn-primary" title="Guardar roles" onclick="app.saveUserRoles('${user.id}')">
+              <i class="fas fa-save"></i>
+            </button>
+            ${user.juradoId || user.id === AuthManager.session.id ? '' : `
+            <button class="btn btn-sm btn-danger" title="Eliminar cuenta" onclick="app.deleteCuenta('${user.id}')">
+              <i class="fas fa-trash"></i>
+            </button>
+            `}
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  async saveUserRoles(userId) {
+    if (!this.requirePermission('usuarios.gestionar')) return;
+
+    const row = document.querySelector(`#cuentasTable tr[data-user-id="${userId}"]`);
+    const roles = Array.from(row.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+
+    const result = await AuthManager.updateUserRoles(userId, roles);
+    if (result.success) {
+      Utils.showNotification(`Roles de ${result.user.username} actualizados`, 'success');
+    } else {
+      Utils.showNotification(result.message, 'error');
+    }
+    this.updateCuentasTable();
+  }
+
+  async deleteCuenta(userId) {
+    if (!this.requirePermission('usuarios.gestionar')) return;
+
+    if (confirm('¿Estás seguro de eliminar esta cuenta?')) {
+      const result = await AuthManager.deleteAccount(userId);
+      Utils.showNotification(result.success ? 'Cuenta eliminada exitosamente' : result.message, result.success ? 'success' : 'error');
+      this.updateCuentasTable();
+    }
+  }
+
+  async handleCuentaSubmit(e) {
+    e.preventDefault();
+    if (!this.requirePermission('usuarios.gestionar')) return;
+
+    const formData = new FormData(e.target);
+    const roles = Array.from(e.target.querySelectorAll('#cuentaRoles input:checked')).map(input => input.value);
+
+    const result = await AuthManager.createAccount({
+      username: formData.get('username'),
+      email: formData.get('email'),
+      roles
+    });
+
+    if (result.success) {
+      e.target.reset();
+      this.renderCredentialsModal(result.user.username, result.credentials);
+      this.updateCuentasTable();
+    } else {
+      Utils.showNotification(result.message, 'error');
+    }
+  }
+
+  async handlePasswordRecovery(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+
+    const result = await AuthManager.requestPasswordReset(formData.get('email'));
+
+    if (result.success) {
+      Utils.showNotification(result.message, 'success', 8000);
+      AuthManager.hidePasswordRecovery();
+    } else {
+      Utils.showNotification(result.message, 'error');
+    }
+  }
+
+  // Página de restablecimiento: el token llega en el enlace del correo (?resetToken=...)
+  async handlePasswordReset(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const token = new URLSearchParams(window.location.search).get('resetToken');
+
+    const result = await AuthManager.resetPassword(token, formData.get('newPassword'), formData.get('confirmPassword'));
+
+    if (result.success) {
+      Utils.showNotification(result.message, 'success', 8000);
+      e.target.reset();
+      // El token ya no es válido: quitarlo de la URL
+      history.replaceState(null, null, `${window.location.pathname}#home`);
+      this.showSection('home');
+    } else {
+      Utils.showNotification(result.message, 'error');
+    }
+  }
+
+  async handleAdminPasswordChange(e) {
     e.preventDefault();
     const formData = new FormData(e.target);
     const newPassword = formData.get('newPassword');
     const confirmPassword = formData.get('confirmPassword');
 
-    const result = AuthManager.changeAdminPassword(newPassword, confirmPassword, AuthManager.getCurrentUser('administracion'));
+    const result = await AuthManager.changeAdminPassword(newPassword, confirmPassword);
     
     if (result.success) {
       Utils.showNotification(result.message, 'success');
@@ -2291,22 +6128,25 @@ class TattooRatingApp {
 
   async loadData() {
     try {
-      // Intentar cargar desde servidor primero
+      // Cargar primero la copia local para no perder cambios pendientes de sincronizar
+      const savedData = localStorage.getItem('tattooRatingData');
+      if (savedData) {
+        const data = JSON.parse(savedData);
+        this.eventos = data.eventos || [];
+        this.tatuadores = data.tatuadores || [];
+        this.piezas = (data.piezas || []).map(pieza => OfflineQueue.conFotosPendientes(pieza));
+        this.jurados = data.jurados || [];
+        this.evaluaciones = data.evaluaciones || [];
+        this.votos = data.votos || [];
+        console.log('📱 Datos cargados desde almacenamiento local');
+      }
+
+      // Fusionar con el servidor global si está disponible
       const serverConnected = await GlobalSyncManager.initialize();
-      
+
       if (serverConnected) {
-        // Los datos ya se cargaron desde el servidor en initialize()
+        // Los datos ya se fusionaron con los del servidor en initialize()
         console.log('✅ Datos cargados desde servidor global');
-      } else {
-        // Fallback a datos locales
-        const savedData = localStorage.getItem('tattooRatingData');
-        if (savedData) {
-          const data = JSON.parse(savedData);
-          this.tatuadores = data.tatuadores || [];
-          this.jurados = data.jurados || [];
-          this.evaluaciones = data.evaluaciones || [];
-          console.log('📱 Datos cargados desde almacenamiento local');
-        }
       }
     } catch (error) {
       Utils.showNotification('Error al cargar datos', 'warning');
@@ -2325,16 +6165,19 @@ document.addEventListener('DOMContentLoaded', async () => {
   app = new TattooRatingApp();
   window.app = app; // Exponer globalmente para sincronización
 
-  // Handle initial navigation from URL hash
-  const hash = window.location.hash.replace('#', '');
-  if (hash && ['home', 'registro', 'evaluacion', 'resultados', 'score', 'administracion'].includes(hash)) {
+  // Handle initial navigation from URL hash (#votar/<piezaId> abre la papeleta de una pieza)
+  const sections = ['home', 'registro', 'evaluacion', 'resultados', 'score', 'administracion', 'restablecer', 'display', 'votar'];
+  const [hash, piezaId] = window.location.hash.replace('#', '').split('/');
+  if (hash && sections.includes(hash)) {
+    app.votoPiezaId = piezaId || null;
     app.showSection(hash);
   }
 
   // Handle hash changes
   window.addEventListener('hashchange', (e) => {
-    const newHash = window.location.hash.replace('#', '');
-    if (newHash && ['home', 'registro', 'evaluacion', 'resultados', 'score', 'administracion'].includes(newHash)) {
+    const [newHash, newPiezaId] = window.location.hash.replace('#', '').split('/');
+    if (newHash && sections.includes(newHash)) {
+      app.votoPiezaId = newPiezaId || null;
       app.showSection(newHash);
     }
   });
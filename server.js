@@ -0,0 +1,1869 @@
+// World Tattoo Rating Platform - Servidor de referencia
+// Sirve la aplicación (index.html, script.js, style.css) e implementa el contrato
+// que consumen APIClient y GlobalSyncManager: /api/health, GET/POST /api/data y
+// los recursos individuales /api/eventos, /api/tatuadores, /api/piezas, /api/jurados, /api/evaluaciones
+// y /api/votos (voto del público, sin sesión); /api/votacion/tickets genera los códigos de entrada.
+// /api/events emite los cambios en tiempo real (Server-Sent Events); con `?token=` los de la sesión.
+// /api/fotos sirve las fotos de las piezas guardadas en PHOTO_DIR.
+// /api/auth y /api/credentials gestionan el acceso con contraseñas cifradas, sesiones
+// y recuperación de contraseña por correo;
+// /api/users y /api/roles, las cuentas y sus roles.
+// Solo usa módulos nativos de Node: `node server.js`
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'tattoo-rating.json');
+const REGION = process.env.REGION || 'local';
+const DEPLOYMENT = process.env.DEPLOYMENT || 'self-hosted';
+const MAX_BODY_SIZE = 5 * 1024 * 1024; // 5 MB
+const HEARTBEAT_INTERVAL = 25000;
+const SESSION_TTL = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const RESET_TTL = (parseFloat(process.env.RESET_TOKEN_TTL_MINUTES) || 30) * 60 * 1000;
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'data', 'mail');
+const MAIL_FROM = process.env.MAIL_FROM || 'World Tattoo Rating <no-reply@tattoorating.com>';
+const PHOTO_DIR = process.env.PHOTO_DIR || path.join(__dirname, 'data', 'fotos');
+const MAX_FOTOS_POR_PIEZA = 8;
+const VOTE_WINDOW = 60 * 1000;
+const VOTE_RATE_LIMIT = parseInt(process.env.VOTE_RATE_LIMIT, 10) || 30;
+// Número de proxies inversos de confianza delante del servidor; con ellos la IP del cliente
+// se toma de X-Forwarded-For (sin proxies la cabecera se ignora: la puede enviar cualquiera)
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY, 10) || 0;
+
+// Acciones protegidas. Los roles agrupan permisos y cada cuenta puede tener varios roles.
+const PERMISSIONS = {
+  'administracion.acceder': 'Acceder al panel de administración',
+  'usuarios.gestionar': 'Gestionar cuentas, roles y credenciales',
+  'datos.eliminar': 'Eliminar tatuadores, piezas, jurados y evaluaciones',
+  'datos.reemplazar': 'Importar, resetear o reemplazar todos los datos',
+  'registro.tatuadores': 'Registrar tatuadores y sus piezas',
+  'registro.jurados': 'Registrar jurados y emitir sus credenciales',
+  'evaluacion.registrar': 'Registrar evaluaciones',
+  'evaluacion.supervisar': 'Registrar evaluaciones en nombre de cualquier jurado',
+  'resultados.ver': 'Consultar resultados',
+  'score.analizar': 'Ver el desglose y el detalle de puntuaciones en Score',
+  'display.controlar': 'Controlar la pantalla pública',
+  'eventos.gestionar': 'Gestionar eventos, categorías y criterios',
+  'evaluacion.aprobar': 'Aprobar correcciones de evaluaciones'
+};
+
+const ROLES = {
+  admin: { label: 'Administrador', permissions: Object.keys(PERMISSIONS) },
+  juradoJefe: { label: 'Jurado principal', permissions: ['evaluacion.registrar', 'evaluacion.supervisar', 'evaluacion.aprobar', 'resultados.ver', 'score.analizar'] },
+  jurado: { label: 'Jurado', permissions: ['evaluacion.registrar'] },
+  registrador: { label: 'Registro', permissions: ['registro.tatuadores', 'registro.jurados'] },
+  resultados: { label: 'Consulta de resultados', permissions: ['resultados.ver'] },
+  analista: { label: 'Analista de puntuaciones', permissions: ['score.analizar'] },
+  presentador: { label: 'Presentador / Pantalla', permissions: ['resultados.ver', 'display.controlar'] }
+};
+
+// Permisos que dan acceso a cada módulo de la aplicación (basta con uno)
+const SECTION_PERMISSIONS = {
+  administracion: ['administracion.acceder'],
+  evaluacion: ['evaluacion.registrar'],
+  registro: ['registro.tatuadores', 'registro.jurados'],
+  resultados: ['resultados.ver'],
+  score: ['score.analizar']
+};
+
+// Módulos con una cuenta compartida y sus roles; en evaluación cada jurado tiene la suya
+const SHARED_ACCOUNTS = {
+  administracion: ['admin'],
+  registro: ['registrador'],
+  resultados: ['resultados']
+};
+
+// Permiso necesario para cada escritura: [método][colección].
+// Una escritura sin permiso definido no está permitida (los eventos se archivan, no se eliminan).
+const WRITE_PERMISSIONS = {
+  POST: { eventos: 'eventos.gestionar', tatuadores: 'registro.tatuadores', piezas: 'registro.tatuadores', jurados: 'registro.jurados', evaluaciones: 'evaluacion.registrar' },
+  PUT: { eventos: 'eventos.gestionar', tatuadores: 'registro.tatuadores', piezas: 'registro.tatuadores', jurados: 'registro.jurados', evaluaciones: 'evaluacion.registrar' },
+  DELETE: { tatuadores: 'datos.eliminar', piezas: 'datos.eliminar', jurados: 'datos.eliminar', evaluaciones: 'datos.eliminar', votos: 'datos.eliminar' }
+};
+
+// Escrituras abiertas al público, sin sesión: el voto del público
+const PUBLIC_WRITES = {
+  POST: ['votos']
+};
+
+// Campos que también puede modificar quien tiene un permiso propio, sin el de escritura
+// de la colección: la configuración de la pantalla pública del evento (`pantalla`)
+const FIELD_PERMISSIONS = {
+  eventos: { pantalla: 'display.controlar', revelacion: 'display.controlar', publicacion: 'evaluacion.aprobar' }
+};
+
+// Campos del evento que forman las reglas de puntuación y se bloquean juntos
+// (`criterios` se compara aparte, por categoría)
+const REGLAS_CAMPOS = ['consolidacion', 'normalizacion', 'desempate', 'presidenteJuradoId', 'reglasVersion', 'reglasVersiones', 'reglasHistorial'];
+
+// Criterios de una categoría sin criterios propios en el evento (los mismos que usa el cliente)
+const CRITERIOS_BASE = [
+  { id: 'tecnica', nombre: 'Técnica', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+  { id: 'creatividad', nombre: 'Creatividad', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+  { id: 'composicion', nombre: 'Composición', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+  { id: 'color', nombre: 'Color', peso: 1, min: 0.1, max: 10, paso: 0.1 },
+  { id: 'dificultad', nombre: 'Dificultad', peso: 1, min: 0.1, max: 10, paso: 0.1 }
+];
+
+// Estados de publicación de cada categoría, en orden (`publicacion` del evento).
+// Sin estado una categoría está en evaluación.
+const PUBLICACION_ESTADOS = ['evaluacion', 'cerrada', 'revisada', 'publicada'];
+
+// Las piezas son las obras que compiten: cada tatuador puede presentar varias, en distintas categorías
+const COLLECTIONS = ['eventos', 'tatuadores', 'piezas', 'jurados', 'evaluaciones', 'votos'];
+
+// Colecciones que pertenecen a un evento (edición de la competición)
+const EVENTO_SCOPED = ['tatuadores', 'piezas', 'jurados', 'evaluaciones', 'votos'];
+
+// Evento al que se asignan los datos creados antes de existir los eventos
+const DEFAULT_EVENTO_ID = 'evento-principal';
+
+// Al eliminar un registro se eliminan también los que dependen de él: [colección, campo]
+const CASCADE_FIELDS = {
+  tatuadores: [['piezas', 'tatuadorId'], ['evaluaciones', 'tatuadorId'], ['votos', 'tatuadorId']],
+  piezas: [['evaluaciones', 'piezaId'], ['votos', 'piezaId']],
+  jurados: [['evaluaciones', 'juradoId']]
+};
+
+// Formatos de foto admitidos y la extensión con la que se guardan
+const PHOTO_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const PHOTO_FILE = /^[a-f0-9]{24}\.(jpg|png|webp)$/;
+
+// Firma (magic bytes) de cada formato: [posición, bytes en hexadecimal]. El formato de una foto
+// se decide por su contenido, no por el tipo que declara la data URL.
+const PHOTO_SIGNATURES = {
+  'image/jpeg': [[0, 'ffd8ff']],
+  'image/png': [[0, '89504e470d0a1a0a']],
+  'image/webp': [[0, '52494646'], [8, '57454250']]
+};
+
+// Solo se publican los archivos de la aplicación, nunca el resto del directorio
+const STATIC_FILES = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/index.html': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/script.js': { file: 'script.js', type: 'application/javascript; charset=utf-8' },
+  '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' }
+};
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Persistencia en archivo JSON
+class DataStore {
+  static data = null;
+
+  static emptyData() {
+    return {
+      eventos: [],
+      tatuadores: [],
+      piezas: [],
+      jurados: [],
+      evaluaciones: [],
+      votos: [],
+      users: [],
+      sessions: [],
+      passwordResets: [],
+      tickets: [],
+      version: '1.0',
+      lastUpdate: null
+    };
+  }
+
+  static load() {
+    try {
+      const raw = fs.readFileSync(DATA_FILE, 'utf8');
+      this.data = { ...this.emptyData(), ...JSON.parse(raw) };
+      console.log(`📂 Datos cargados desde ${DATA_FILE}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error leyendo archivo de datos:', error);
+      }
+      this.data = this.emptyData();
+    }
+    this.ensureEventos();
+    this.ensurePiezas();
+    return this.data;
+  }
+
+  // Garantiza que exista al menos un evento y que todos los registros pertenezcan a uno
+  static ensureEventos() {
+    const data = this.data;
+    const isOrphan = record => !data.eventos.some(e => e.id === record.eventoId);
+    const unscoped = EVENTO_SCOPED.some(collection => data[collection].some(isOrphan));
+    if (data.eventos.length > 0 && !unscoped) return;
+
+    if (!data.eventos.some(e => e.id === DEFAULT_EVENTO_ID)) {
+      data.eventos.push({
+        id: DEFAULT_EVENTO_ID,
+        nombre: 'Edición principal',
+        ciudad: '',
+        fechaInicio: null,
+        fechaFin: null,
+        estado: 'activo',
+        fechaCreacion: new Date().toISOString(),
+        version: 1,
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    EVENTO_SCOPED.forEach(collection => {
+      data[collection].forEach(record => {
+        if (isOrphan(record)) record.eventoId = DEFAULT_EVENTO_ID;
+      });
+    });
+    this.save();
+  }
+
+  // Antes de existir las piezas cada tatuador competía en una sola categoría (`categoria`)
+  // y las evaluaciones se asociaban al tatuador: se crea la pieza equivalente y se enlaza
+  static ensurePiezas() {
+    const data = this.data;
+    let changed = false;
+
+    const piezaDe = (tatuadorId, categoria, eventoId, fechaRegistro) => {
+      let pieza = data.piezas.find(p => p.tatuadorId === tatuadorId && p.categoria === categoria);
+      if (!pieza) {
+        pieza = {
+          id: `pieza-${tatuadorId}-${categoria}`,
+          eventoId,
+          tatuadorId,
+          categoria,
+          cliente: '',
+          zona: '',
+          sesiones: null,
+          fechaRegistro: fechaRegistro || new Date().toISOString(),
+          version: 1,
+          updatedAt: new Date().toISOString()
+        };
+        data.piezas.push(pieza);
+        changed = true;
+      }
+      return pieza;
+    };
+
+    data.tatuadores.forEach(tatuador => {
+      if (tatuador.categoria && !data.piezas.some(p => p.tatuadorId === tatuador.id)) {
+        piezaDe(tatuador.id, tatuador.categoria, tatuador.eventoId, tatuador.fechaRegistro);
+      }
+    });
+
+    data.evaluaciones.forEach(evaluacion => {
+      if (!evaluacion.piezaId && evaluacion.tatuadorId && evaluacion.categoria) {
+        evaluacion.piezaId = piezaDe(evaluacion.tatuadorId, evaluacion.categoria, evaluacion.eventoId, evaluacion.fecha).id;
+        changed = true;
+      }
+    });
+
+    if (changed) this.save();
+  }
+
+  // Evento para registros que llegan sin eventoId: el activo más reciente
+  static defaultEventoId() {
+    const activos = this.data.eventos.filter(e => e.estado !== 'archivado');
+    const evento = activos[activos.length - 1] || this.data.eventos[this.data.eventos.length - 1];
+    return evento ? evento.id : DEFAULT_EVENTO_ID;
+  }
+
+  // Los eventos archivados son de solo lectura
+  static scopeToEvento(collection, record, existing = null) {
+    if (!EVENTO_SCOPED.includes(collection)) return record;
+
+    const eventoId = (existing && existing.eventoId) || record.eventoId || this.defaultEventoId();
+    const evento = this.data.eventos.find(e => e.id === eventoId);
+    if (!evento) {
+      throw new HttpError(400, 'El evento indicado no existe');
+    }
+    if (evento.estado === 'archivado') {
+      throw new HttpError(403, 'El evento está archivado y es de solo lectura');
+    }
+
+    // Las evaluaciones recuerdan la versión de las reglas de su categoría con la que se registraron.
+    // Al modificarlas sin indicarla conservan la que tenían: solo recalcular cambia de versión.
+    if (collection === 'evaluaciones' && !existing && record.reglasVersion === undefined) {
+      const categoria = this.categoriaDe(record);
+      return { ...record, eventoId, reglasVersion: this.reglasVersionDe(evento, categoria) };
+    }
+    return { ...record, eventoId };
+  }
+
+  // Un jurado con categorías o tatuadores asignados solo puede evaluar a esos tatuadores;
+  // sin asignación evalúa a todo el evento
+  static guardAsignacion(record) {
+    const jurado = this.data.jurados.find(j => j.id === record.juradoId);
+    const pieza = this.data.piezas.find(p => p.id === record.piezaId);
+    if (!jurado || !pieza || !jurado.asignacion) return;
+
+    const categorias = jurado.asignacion.categorias || [];
+    const tatuadores = jurado.asignacion.tatuadores || [];
+    if (categorias.length === 0 && tatuadores.length === 0) return;
+
+    if (!categorias.includes(pieza.categoria) && !tatuadores.includes(pieza.tatuadorId)) {
+      throw new HttpError(403, 'El tatuador no está asignado a este jurado');
+    }
+  }
+
+  // Los conflictos de interés declarados bloquean la evaluación igual que una duplicada.
+  // El tatuador es el de la pieza evaluada, no el que indique el cliente.
+  static guardConflicto(record) {
+    const jurado = this.data.jurados.find(j => j.id === record.juradoId);
+    const pieza = this.data.piezas.find(p => p.id === record.piezaId);
+    const tatuadorId = pieza ? pieza.tatuadorId : record.tatuadorId;
+    if (jurado && (jurado.conflictos || []).some(c => c.tatuadorId === tatuadorId)) {
+      throw new HttpError(403, 'El jurado ha declarado un conflicto de interés con este tatuador');
+    }
+  }
+
+  // Cada jurado evalúa cada pieza una sola vez, aunque la nueva evaluación llegue con otro id
+  // (desde otro dispositivo o sin conexión). El reintento de la misma evaluación no cuenta.
+  static guardEvaluacionDuplicada(record) {
+    const duplicada = this.data.evaluaciones.some(e =>
+      e.id !== record.id && e.juradoId === record.juradoId && e.piezaId === record.piezaId
+    );
+    if (duplicada) {
+      throw new HttpError(409, 'El jurado ya evaluó esta pieza');
+    }
+  }
+
+  // Una evaluación no cambia de jurado, pieza, tatuador ni categoría: para evaluar otra
+  // pieza se registra una evaluación nueva
+  static guardIdentidadEvaluacion(record, existing) {
+    const cambiados = ['juradoId', 'piezaId', 'tatuadorId', 'categoria'].filter(field =>
+      field in record && record[field] !== existing[field]
+    );
+    if (cambiados.length > 0) {
+      throw new HttpError(400, `No se puede cambiar ${cambiados.join(', ')} de una evaluación`);
+    }
+  }
+
+  // Versión vigente de las reglas de una categoría; los eventos anteriores solo tienen
+  // `reglasVersion` para todo el evento
+  static reglasVersionDe(evento, categoria) {
+    const versiones = (evento && evento.reglasVersiones) || {};
+    return versiones[categoria] || (evento && evento.reglasVersion) || 1;
+  }
+
+  static criteriosDe(evento, categoria) {
+    return ((evento && evento.criterios) || {})[categoria] || CRITERIOS_BASE;
+  }
+
+  // La puntuación total la calcula el servidor: media de los criterios de la categoría ponderada
+  // por sus pesos, redondeada a dos decimales. Cada criterio debe tener una puntuación en su escala.
+  static puntuacionTotal(evento, categoria, criterios) {
+    const configurados = this.criteriosDe(evento, categoria);
+    const fueraDeRango = configurados.filter(criterio => {
+      const valor = (criterios || {})[criterio.id];
+      return typeof valor !== 'number' || !Number.isFinite(valor) || valor < criterio.min || valor > criterio.max;
+    });
+    if (fueraDeRango.length > 0) {
+      throw new HttpError(400, `Puntuación no válida en ${fueraDeRango.map(c => c.nombre).join(', ')}`);
+    }
+
+    const pesos = configurados.reduce((total, criterio) => total + criterio.peso, 0);
+    const suma = configurados.reduce((total, criterio) => total + criterios[criterio.id] * criterio.peso, 0);
+    return pesos > 0 ? Math.round((suma / pesos) * 100) / 100 : 0;
+  }
+
+  // Las reglas de puntuación quedan bloqueadas con `reglasBloqueadas` y, en cuanto el evento
+  // tiene evaluaciones, también sin él. Bloqueadas no cambian los criterios de las categorías
+  // ya configuradas o evaluadas (sí pueden añadirse los de categorías nuevas) ni el resto de
+  // REGLAS_CAMPOS. Desbloquearlas es un cambio explícito (`reglasBloqueadas: false`).
+  static guardReglas(existing, changes) {
+    const evaluadas = this.data.evaluaciones.filter(e => e.eventoId === existing.id).map(e => this.categoriaDe(e));
+    const bloqueadas = existing.reglasBloqueadas === true || (existing.reglasBloqueadas !== false && evaluadas.length > 0);
+    if (!bloqueadas || changes.reglasBloqueadas === false) return;
+
+    const distinto = (a, b) => JSON.stringify(a === undefined ? null : a) !== JSON.stringify(b === undefined ? null : b);
+    const criterios = existing.criterios || {};
+    const categorias = [...new Set([...Object.keys(criterios), ...evaluadas])];
+    const modificadas = 'criterios' in changes &&
+      categorias.some(categoria => distinto((changes.criterios || {})[categoria], criterios[categoria]));
+
+    if (modificadas || REGLAS_CAMPOS.some(field => field in changes && distinto(changes[field], existing[field]))) {
+      throw new HttpError(409, 'Las reglas de puntuación del evento están bloqueadas', { record: existing });
+    }
+  }
+
+  static estadoCategoria(eventoId, categoria) {
+    const evento = this.data.eventos.find(e => e.id === eventoId);
+    return (evento && evento.publicacion && evento.publicacion[categoria]) || 'evaluacion';
+  }
+
+  // Solo se evalúa en categorías abiertas; las correcciones se admiten hasta la revisión.
+  // La categoría es la de la pieza guardada, no la que indique el cliente.
+  static guardEstadoCategoria(record, existing = null) {
+    const evaluacion = { ...existing, ...record };
+    const pieza = this.data.piezas.find(p => p.id === evaluacion.piezaId && p.eventoId === evaluacion.eventoId);
+    if (!pieza) {
+      throw new HttpError(400, 'La pieza indicada no existe en este evento');
+    }
+    if (!existing && record.categoria !== pieza.categoria) {
+      throw new HttpError(400, 'La categoría de la evaluación no coincide con la de la pieza');
+    }
+    const estado = this.estadoCategoria(evaluacion.eventoId, pieza.categoria);
+
+    if (!existing && estado !== 'evaluacion') {
+      throw new HttpError(403, 'La evaluación de esta categoría está cerrada');
+    }
+
+    const scoreChanged = existing && ['criterios', 'puntuacionTotal'].some(field =>
+      field in record && JSON.stringify(record[field]) !== JSON.stringify(existing[field])
+    );
+    if (scoreChanged && ['revisada', 'publicada'].includes(estado)) {
+      throw new HttpError(403, 'Los resultados de esta categoría ya se revisaron y no admiten correcciones');
+    }
+  }
+
+  // `revelacion[categoria]` es el mejor puesto ya revelado en la ceremonia; solo existe en categorías publicadas
+  static guardPublicacion(changes) {
+    const publicacion = changes.publicacion || {};
+    const invalido = Object.values(publicacion).find(estado => !PUBLICACION_ESTADOS.includes(estado));
+    if (invalido) {
+      throw new HttpError(400, `Estado de publicación desconocido: ${invalido}`);
+    }
+
+    Object.entries(changes.revelacion || {}).forEach(([categoria, puesto]) => {
+      if (publicacion[categoria] !== 'publicada') {
+        throw new HttpError(400, 'Solo se revelan puestos de categorías publicadas');
+      }
+      if (!Number.isInteger(puesto) || puesto < 1) {
+        throw new HttpError(400, 'El puesto revelado debe ser un entero positivo');
+      }
+    });
+  }
+
+  static save() {
+    // Escritura atómica: archivo temporal + rename para no corromper datos
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmpFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, DATA_FILE);
+  }
+
+  static replace(payload) {
+    COLLECTIONS.forEach(collection => {
+      if (payload[collection] !== undefined && !Array.isArray(payload[collection])) {
+        throw new HttpError(400, `El campo ${collection} debe ser una lista`);
+      }
+    });
+
+    const now = new Date().toISOString();
+    const withVersion = records => (records || []).map(r => ({
+      ...r,
+      version: r.version || 1,
+      updatedAt: r.updatedAt || now
+    }));
+
+    // Se validan todas las fotos antes de escribir ninguna
+    const fotos = (payload.piezas || []).flatMap(pieza =>
+      PhotoStore.prepare(pieza, this.data.piezas.find(p => p.id === pieza.id))
+    );
+
+    const anterior = this.data;
+    PhotoStore.write(fotos);
+    try {
+      this.data = { ...this.data };
+      COLLECTIONS.forEach(collection => {
+        this.data[collection] = withVersion(payload[collection]);
+      });
+      // Los clientes nunca reciben la huella del dispositivo de los votos: se conserva la guardada
+      this.data.votos = this.data.votos.map(voto => {
+        const guardado = (anterior.votos || []).find(v => v.id === voto.id);
+        return guardado && guardado.dispositivo ? { ...voto, dispositivo: guardado.dispositivo } : voto;
+      });
+      this.data.version = payload.version || this.data.version;
+      this.data.lastUpdate = new Date().toISOString();
+
+      this.save();
+    } catch (error) {
+      this.data = anterior;
+      PhotoStore.discard(fotos);
+      throw error;
+    }
+    this.ensureEventos();
+    this.ensurePiezas();
+    PhotoStore.prune();
+    return this.data;
+  }
+
+  static touch() {
+    this.data.lastUpdate = new Date().toISOString();
+    this.save();
+  }
+
+  // `beforeSave` se ejecuta solo si el registro va a guardarse (no en un reintento ni ante un 409),
+  // p. ej. para escribir los archivos de sus fotos
+  static createRecord(collection, record, beforeSave = () => {}) {
+    if (!record || typeof record !== 'object' || !record.id) {
+      throw new HttpError(400, 'El registro debe incluir un id');
+    }
+
+    // Los reintentos de APIClient pueden repetir una creación ya aplicada
+    const existing = this.data[collection].find(r => r.id === record.id);
+    if (existing) {
+      return existing;
+    }
+
+    beforeSave();
+    const stored = { ...record, version: 1, updatedAt: new Date().toISOString() };
+    this.data[collection].push(stored);
+    this.touch();
+    return stored;
+  }
+
+  // `changes.version` es la versión sobre la que el cliente hizo su edición;
+  // si el servidor ya tiene una más reciente se rechaza con 409 y la copia actual
+  static updateRecord(collection, id, changes, beforeSave = () => {}) {
+    const index = this.data[collection].findIndex(r => r.id === id);
+    if (index === -1) {
+      throw new HttpError(404, 'Registro no encontrado');
+    }
+
+    const current = this.data[collection][index];
+    if (changes.version !== undefined && changes.version < current.version) {
+      throw new HttpError(409, 'El registro fue modificado en otro dispositivo', { record: current });
+    }
+
+    beforeSave();
+    this.data[collection][index] = {
+      ...current,
+      ...changes,
+      id,
+      version: (current.version || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    this.touch();
+    return this.data[collection][index];
+  }
+
+  static deleteRecord(collection, id) {
+    // Idempotente: eliminar un registro inexistente no es un error
+    this.data[collection] = this.data[collection].filter(r => r.id !== id);
+
+    (CASCADE_FIELDS[collection] || []).forEach(([dependent, field]) => {
+      this.data[dependent] = this.data[dependent].filter(r => r[field] !== id);
+    });
+
+    this.touch();
+  }
+
+  // Categoría de una evaluación: la de su pieza, no la que envía el cliente
+  static categoriaDe(evaluacion) {
+    const pieza = this.data.piezas.find(p => p.id === evaluacion.piezaId);
+    return pieza ? pieza.categoria : evaluacion.categoria;
+  }
+
+  // Una categoría publicada sigue bajo embargo durante la ceremonia, hasta revelar el primer puesto:
+  // con las evaluaciones cualquiera podría calcular el podio antes de tiempo
+  static categoriaRevelada(eventoId, categoria) {
+    const evento = this.data.eventos.find(e => e.id === eventoId);
+    return this.estadoCategoria(eventoId, categoria) === 'publicada' &&
+      !!evento && !!evento.revelacion && evento.revelacion[categoria] === 1;
+  }
+
+  // Embargo: hasta que su categoría se publica y se revela entera, una evaluación solo la ven quien consulta
+  // resultados y el jurado que la registró
+  static evaluacionVisible(evaluacion, user = null) {
+    if (this.categoriaRevelada(evaluacion.eventoId, this.categoriaDe(evaluacion))) return true;
+    return !!user && (Auth.can(user, 'resultados.ver') || (!!user.juradoId && evaluacion.juradoId === user.juradoId));
+  }
+
+  // Datos publicables: nunca incluye usuarios, sesiones, tokens de recuperación ni códigos de entrada,
+  // ni las evaluaciones bajo embargo para `user`
+  static publicData(user = null) {
+    const { users, sessions, passwordResets, tickets, ...publicData } = this.data;
+    return {
+      ...publicData,
+      evaluaciones: publicData.evaluaciones.filter(e => this.evaluacionVisible(e, user)),
+      votos: publicData.votos.map(voto => this.publicRecord('votos', voto))
+    };
+  }
+
+  // Lo que se entrega de un registro: la huella del dispositivo de un voto solo sirve para
+  // rechazar votos repetidos y no sale del servidor (permitiría seguir a quién votó qué)
+  static publicRecord(collection, record) {
+    if (collection !== 'votos' || !record) return record;
+    const { dispositivo, ...voto } = record;
+    return voto;
+  }
+}
+
+// Autenticación: contraseñas con sal (scrypt) y sesiones por token
+class Auth {
+  static failedLogins = new Map();
+
+  static hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { salt, hash };
+  }
+
+  static verifyPassword(user, password) {
+    const { hash } = this.hashPassword(password, user.salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static generatePassword() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789!@#$%&*';
+    const bytes = crypto.randomBytes(14);
+    return Array.from(bytes, b => chars[b % chars.length]).join('');
+  }
+
+  static generateUsername(section) {
+    return `${section}${crypto.randomInt(1000, 10000)}`;
+  }
+
+  static createUser({ section = null, username, email, password, roles, juradoId = null }) {
+    const { salt, hash } = this.hashPassword(password);
+    return {
+      id: crypto.randomUUID(),
+      section,
+      username,
+      email,
+      salt,
+      passwordHash: hash,
+      roles,
+      juradoId,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  static setPassword(user, password) {
+    const { salt, hash } = this.hashPassword(password);
+    user.salt = salt;
+    user.passwordHash = hash;
+  }
+
+  static permissionsOf(user) {
+    const permissions = new Set();
+    user.roles.forEach(role => {
+      (ROLES[role] ? ROLES[role].permissions : []).forEach(p => permissions.add(p));
+    });
+    return [...permissions];
+  }
+
+  static can(user, permission) {
+    return this.permissionsOf(user).includes(permission);
+  }
+
+  static publicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      section: user.section,
+      roles: user.roles,
+      permissions: this.permissionsOf(user),
+      juradoId: user.juradoId || null,
+      isAdmin: user.roles.includes('admin')
+    };
+  }
+
+  static findSharedAccount(section) {
+    return DataStore.data.users.find(u => u.section === section && !u.juradoId);
+  }
+
+  // Crea las cuentas iniciales. Las credenciales en texto plano de versiones
+  // anteriores (systemCredentials) se migran a contraseñas cifradas y se eliminan.
+  static seedUsers() {
+    const data = DataStore.data;
+    const legacy = data.systemCredentials || {};
+    const created = [];
+
+    // Cuentas anteriores a los roles: el módulo al que pertenecían determina su rol
+    data.users.forEach(user => {
+      if (user.roles) return;
+      user.roles = user.juradoId ? ['jurado'] : (SHARED_ACCOUNTS[user.section] || []);
+      delete user.permissions;
+    });
+
+    // La cuenta compartida de evaluación se sustituye por cuentas individuales de jurado
+    const sharedEvaluation = this.findSharedAccount('evaluacion');
+    if (sharedEvaluation) {
+      data.users = data.users.filter(u => u !== sharedEvaluation);
+      this.revokeSessions(sharedEvaluation.id);
+      console.log('🔒 Cuenta compartida de evaluación eliminada: cada jurado usa sus propias credenciales');
+    }
+
+    Object.entries(SHARED_ACCOUNTS).forEach(([section, roles]) => {
+      if (this.findSharedAccount(section)) return;
+
+      const previous = legacy[section];
+      const account = {
+        section,
+        username: previous ? previous.username : (section === 'administracion' ? 'admin' : this.generateUsername(section)),
+        email: previous && previous.email ? previous.email : `${section === 'administracion' ? 'admin' : section}@tattoorating.com`,
+        password: previous ? previous.password : (section === 'administracion' && process.env.ADMIN_PASSWORD) || this.generatePassword(),
+        roles
+      };
+
+      data.users.push(this.createUser(account));
+      if (!previous) created.push(account);
+    });
+
+    delete data.systemCredentials;
+
+    if (created.length > 0) {
+      console.log('🔑 Credenciales iniciales (guárdalas, no se volverán a mostrar):');
+      created.forEach(account => {
+        console.log(`   ${account.section}: ${account.username} / ${account.password}`);
+      });
+    }
+
+    DataStore.save();
+  }
+
+  // Crea la cuenta del jurado o, si ya existe, le asigna una contraseña nueva.
+  // Devuelve la contraseña en claro una única vez.
+  static issueJuradoCredentials(jurado) {
+    const password = this.generatePassword();
+    let user = DataStore.data.users.find(u => u.juradoId === jurado.id);
+
+    if (user) {
+      this.setPassword(user, password);
+      this.revokeSessions(user.id);
+    } else {
+      user = this.createUser({
+        section: 'evaluacion',
+        username: this.generateUsername('jurado'),
+        email: jurado.email,
+        password,
+        roles: ['jurado'],
+        juradoId: jurado.id
+      });
+      DataStore.data.users.push(user);
+    }
+
+    DataStore.save();
+    return { username: user.username, password };
+  }
+
+  // Elimina las cuentas (y sesiones) de jurados que ya no existen
+  static pruneJuradoAccounts() {
+    const data = DataStore.data;
+    const juradoIds = new Set(data.jurados.map(j => j.id));
+    const removed = data.users.filter(u => u.juradoId && !juradoIds.has(u.juradoId));
+    if (removed.length === 0) return;
+
+    removed.forEach(user => this.revokeSessions(user.id));
+    data.users = data.users.filter(u => !removed.includes(u));
+    DataStore.save();
+  }
+
+  static validateRoles(roles, juradoId) {
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw new HttpError(400, 'Debe asignar al menos un rol');
+    }
+    const unknown = roles.filter(role => !ROLES[role]);
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Rol no válido: ${unknown.join(', ')}`);
+    }
+    if (roles.includes('jurado') && !juradoId) {
+      throw new HttpError(400, 'El rol Jurado requiere una cuenta vinculada a un jurado');
+    }
+    return [...new Set(roles)];
+  }
+
+  // Siempre debe quedar al menos una cuenta con el rol de administrador
+  static ensureAdminRemains(user, roles) {
+    const otherAdmins = DataStore.data.users.filter(u => u !== user && u.roles.includes('admin'));
+    if (user.roles.includes('admin') && !roles.includes('admin') && otherAdmins.length === 0) {
+      throw new HttpError(400, 'Debe existir al menos un administrador');
+    }
+  }
+
+  static createAccount({ username, email, roles }) {
+    if (!username || !email) {
+      throw new HttpError(400, 'Usuario y email son obligatorios');
+    }
+    if (DataStore.data.users.some(u => u.username === username)) {
+      throw new HttpError(409, 'Ya existe una cuenta con ese usuario');
+    }
+
+    const password = this.generatePassword();
+    const user = this.createUser({ username, email, password, roles: this.validateRoles(roles, null) });
+    DataStore.data.users.push(user);
+    DataStore.save();
+    return { user: this.publicUser(user), credentials: { username, password } };
+  }
+
+  // Los cambios de rol cierran las sesiones abiertas para que se apliquen al volver a entrar
+  static updateRoles(user, roles, currentSession) {
+    const validRoles = this.validateRoles(roles, user.juradoId);
+    this.ensureAdminRemains(user, validRoles);
+
+    user.roles = validRoles;
+    DataStore.data.sessions = DataStore.data.sessions.filter(s => s.userId !== user.id || s === currentSession);
+    DataStore.save();
+    return this.publicUser(user);
+  }
+
+  static deleteAccount(user, currentUser) {
+    if (user === currentUser) {
+      throw new HttpError(400, 'No puede eliminar su propia cuenta');
+    }
+    if (user.juradoId) {
+      throw new HttpError(400, 'Las cuentas de jurado se eliminan junto con el jurado');
+    }
+    this.ensureAdminRemains(user, []);
+
+    this.revokeSessions(user.id);
+    DataStore.data.users = DataStore.data.users.filter(u => u !== user);
+    DataStore.save();
+  }
+
+  // Un jurado solo puede registrar evaluaciones a su nombre. La identidad de la
+  // sesión que la creó queda en `evaluadoPor` y no puede reescribirse después.
+  // Las puntuaciones ya registradas solo cambian al aprobar una corrección (`enmienda`),
+  // y nunca las aprueba quien la solicitó. Quién solicita y quién resuelve lo anota el
+  // servidor con la sesión, y `revisiones` solo crece: se construye aquí, nunca en el cliente.
+  // Un jurado solo registra y modifica sus propias evaluaciones; se comprueba antes que
+  // cualquier otra validación para no revelar nada de las ajenas
+  static authorizeEvaluador(user, record, existing = null) {
+    const owners = [record.juradoId, existing && existing.juradoId].filter(Boolean);
+    const ownEvaluation = user.juradoId && owners.length > 0 && owners.every(id => id === user.juradoId);
+    if (!ownEvaluation && !this.can(user, 'evaluacion.supervisar')) {
+      throw new HttpError(403, 'Solo puede registrar evaluaciones con su propia cuenta de jurado');
+    }
+  }
+
+  static authorizeEvaluation(user, record, existing = null) {
+    this.authorizeEvaluador(user, record, existing);
+
+    // Las puntuaciones totales nuevas (al registrar, al solicitar una corrección y al recalcular)
+    // se calculan aquí con los criterios del evento; la del cliente no se tiene en cuenta
+    const evento = DataStore.data.eventos.find(e => e.id === (existing || record).eventoId);
+    const categoria = DataStore.categoriaDe(existing || record);
+    const puntuar = criterios => DataStore.puntuacionTotal(evento, categoria, criterios);
+
+    if (!existing) {
+      return { ...record, puntuacionTotal: puntuar(record.criterios), enmienda: null, revisiones: [], evaluadoPor: user.username };
+    }
+
+    const changed = field => field in record && JSON.stringify(record[field]) !== JSON.stringify(existing[field]);
+    const scoreChanged = changed('criterios') || changed('puntuacionTotal');
+    const pendiente = existing.enmienda || null;
+    const propuesta = 'enmienda' in record ? record.enmienda || null : pendiente;
+    const now = new Date().toISOString();
+
+    const result = {
+      ...record,
+      evaluadoPor: existing.evaluadoPor || user.username,
+      enmienda: pendiente,
+      revisiones: existing.revisiones || []
+    };
+
+    if (!pendiente && propuesta) {
+      // Nueva solicitud: las puntuaciones no cambian hasta que se apruebe
+      if (scoreChanged) {
+        throw new HttpError(403, 'Las correcciones de una evaluación requieren la aprobación del jurado principal');
+      }
+      result.enmienda = {
+        criterios: propuesta.criterios,
+        puntuacionTotal: puntuar(propuesta.criterios),
+        motivo: propuesta.motivo,
+        solicitadaPor: user.username,
+        fecha: now
+      };
+      return result;
+    }
+
+    if (pendiente && !propuesta) {
+      // Resolución: aprobar aplica exactamente las puntuaciones solicitadas; rechazar no cambia ninguna
+      if (!this.can(user, 'evaluacion.aprobar')) {
+        throw new HttpError(403, 'Las correcciones de una evaluación requieren la aprobación del jurado principal');
+      }
+      if (pendiente.solicitadaPor === user.username) {
+        throw new HttpError(403, 'Una corrección no puede aprobarla quien la solicitó');
+      }
+      const aprobada = scoreChanged;
+      if (aprobada && (JSON.stringify(record.criterios) !== JSON.stringify(pendiente.criterios) ||
+        record.puntuacionTotal !== pendiente.puntuacionTotal)) {
+        throw new HttpError(403, 'Solo pueden aplicarse las puntuaciones de la corrección solicitada');
+      }
+      result.enmienda = null;
+      result.revisiones = [...result.revisiones, {
+        estado: aprobada ? 'aprobada' : 'rechazada',
+        anterior: { criterios: existing.criterios, puntuacionTotal: existing.puntuacionTotal },
+        criterios: pendiente.criterios,
+        puntuacionTotal: pendiente.puntuacionTotal,
+        motivo: pendiente.motivo,
+        solicitadaPor: pendiente.solicitadaPor,
+        fechaSolicitud: pendiente.fecha,
+        resueltaPor: user.username,
+        fechaResolucion: now
+      }];
+      return result;
+    }
+
+    if (pendiente && JSON.stringify(propuesta) !== JSON.stringify(pendiente)) {
+      throw new HttpError(409, 'La evaluación ya tiene una corrección pendiente', { record: existing });
+    }
+
+    // Recalcular con la versión vigente de las reglas de la categoría cambia el total, no los criterios
+    const migracion = !changed('criterios') && changed('reglasVersion') && this.can(user, 'eventos.gestionar') &&
+      record.reglasVersion === DataStore.reglasVersionDe(evento, categoria);
+    if (scoreChanged && !migracion) {
+      throw new HttpError(403, 'Las correcciones de una evaluación requieren la aprobación del jurado principal');
+    }
+    if (migracion) {
+      result.puntuacionTotal = puntuar(existing.criterios);
+    }
+    return result;
+  }
+
+  // Sin el permiso de la colección solo se admiten cambios en campos con permiso propio
+  static authorizeFields(user, record, existing, permission, fieldPermissions) {
+    if (this.can(user, permission)) return;
+
+    const changed = Object.keys(record).filter(field =>
+      !['id', 'version', 'updatedAt'].includes(field) &&
+      JSON.stringify(record[field]) !== JSON.stringify(existing ? existing[field] : undefined)
+    );
+    const allowed = existing && changed.length > 0 &&
+      changed.every(field => fieldPermissions[field] && this.can(user, fieldPermissions[field]));
+    if (!allowed) {
+      throw new HttpError(403, 'No tiene permisos para esta acción');
+    }
+  }
+
+  // Quien revisa sin gestionar el evento solo marca como revisada una categoría cerrada, o la devuelve a cerrada
+  static authorizePublicacion(user, record, existing) {
+    if (!('publicacion' in record) || this.can(user, 'eventos.gestionar')) return;
+
+    const antes = existing.publicacion || {};
+    const despues = record.publicacion || {};
+    const categorias = new Set([...Object.keys(antes), ...Object.keys(despues)]);
+    const permitido = [...categorias].every(categoria => {
+      const desde = antes[categoria] || 'evaluacion';
+      const hasta = despues[categoria] || 'evaluacion';
+      return desde === hasta || ['cerrada', 'revisada'].includes(desde) && ['cerrada', 'revisada'].includes(hasta);
+    });
+    if (!permitido) {
+      throw new HttpError(403, 'Solo la administración puede cerrar, publicar o reabrir categorías');
+    }
+  }
+
+  static createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    DataStore.data.sessions = DataStore.data.sessions.filter(s => new Date(s.expiresAt).getTime() > now);
+    const session = {
+      tokenHash: this.hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL).toISOString()
+    };
+    DataStore.data.sessions.push(session);
+    DataStore.save();
+
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  static getSession(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/);
+    if (!match) return null;
+
+    return this.sessionFromHash(this.hashToken(match[1]));
+  }
+
+  static sessionFromHash(tokenHash) {
+    const session = DataStore.data.sessions.find(s => s.tokenHash === tokenHash);
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+
+    const user = DataStore.data.users.find(u => u.id === session.userId);
+    return user ? { session, user } : null;
+  }
+
+  static requireSession(req, permission = null) {
+    const current = this.getSession(req);
+    if (!current) {
+      throw new HttpError(401, 'Sesión no válida o expirada');
+    }
+    if (permission && !this.can(current.user, permission)) {
+      throw new HttpError(403, 'No tiene permisos para esta acción');
+    }
+    return current;
+  }
+
+  static revokeSessions(userId) {
+    DataStore.data.sessions = DataStore.data.sessions.filter(s => s.userId !== userId);
+  }
+
+  // Limita los intentos fallidos por clave (dirección IP o acción + IP)
+  static checkThrottle(key) {
+    const now = Date.now();
+    const attempts = (this.failedLogins.get(key) || []).filter(t => now - t < LOGIN_WINDOW);
+    this.failedLogins.set(key, attempts);
+    if (attempts.length >= LOGIN_MAX_ATTEMPTS) {
+      throw new HttpError(429, 'Demasiados intentos fallidos. Inténtalo de nuevo más tarde.');
+    }
+  }
+
+  static recordFailure(key) {
+    this.failedLogins.set(key, [...(this.failedLogins.get(key) || []), Date.now()]);
+  }
+
+  // Envía un enlace de recuperación a cada cuenta con ese email. La respuesta
+  // no revela si el email existe; cada solicitud anula los enlaces anteriores.
+  static async requestPasswordReset({ email }, ip, baseUrl) {
+    const throttleKey = `recover:${ip}`;
+    this.checkThrottle(throttleKey);
+    this.recordFailure(throttleKey);
+
+    if (!email) {
+      throw new HttpError(400, 'Debe ingresar un email');
+    }
+
+    const data = DataStore.data;
+    const now = Date.now();
+    const users = data.users.filter(u => u.email && u.email.toLowerCase() === String(email).trim().toLowerCase());
+
+    for (const user of users) {
+      const token = crypto.randomBytes(32).toString('hex');
+      data.passwordResets = data.passwordResets.filter(r => r.userId !== user.id && new Date(r.expiresAt).getTime() > now);
+      data.passwordResets.push({
+        tokenHash: this.hashToken(token),
+        userId: user.id,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + RESET_TTL).toISOString()
+      });
+      DataStore.save();
+
+      const link = `${baseUrl}/?resetToken=${token}#restablecer`;
+      try {
+        await Mailer.send({
+          to: user.email,
+          subject: 'Recuperación de contraseña - World Tattoo Rating',
+          text: [
+            `Se solicitó restablecer la contraseña del usuario "${user.username}".`,
+            '',
+            `Abre este enlace para elegir una nueva contraseña (válido ${Math.round(RESET_TTL / 60000)} minutos):`,
+            link,
+            '',
+            'Si no solicitaste el cambio, ignora este mensaje.'
+          ].join('\n')
+        });
+      } catch (error) {
+        console.error('Error enviando correo de recuperación:', error);
+      }
+    }
+  }
+
+  static resetPassword({ token, newPassword }) {
+    if (!newPassword || newPassword.length < 8) {
+      throw new HttpError(400, 'La contraseña debe tener al menos 8 caracteres.');
+    }
+
+    const data = DataStore.data;
+    const now = Date.now();
+    data.passwordResets = data.passwordResets.filter(r => new Date(r.expiresAt).getTime() > now);
+
+    const tokenHash = this.hashToken(String(token || ''));
+    const reset = data.passwordResets.find(r => r.tokenHash === tokenHash);
+    const user = reset && data.users.find(u => u.id === reset.userId);
+    if (!user) {
+      throw new HttpError(400, 'El enlace de recuperación no es válido o ha caducado');
+    }
+
+    this.setPassword(user, newPassword);
+    this.revokeSessions(user.id);
+    data.passwordResets = data.passwordResets.filter(r => r.userId !== user.id);
+    DataStore.save();
+    return { username: user.username };
+  }
+
+  static login({ username, password, section }, ip) {
+    this.checkThrottle(ip);
+
+    if (!username || !password) {
+      throw new HttpError(400, 'Debe ingresar usuario y contraseña');
+    }
+    if (!SECTION_PERMISSIONS[section]) {
+      throw new HttpError(400, 'Sección no configurada');
+    }
+
+    const user = DataStore.data.users.find(u => u.username === username);
+    if (!user || !this.verifyPassword(user, password)) {
+      this.recordFailure(ip);
+      throw new HttpError(401, 'Credenciales incorrectas');
+    }
+    if (!SECTION_PERMISSIONS[section].some(permission => this.can(user, permission))) {
+      throw new HttpError(403, 'No tiene acceso a este módulo');
+    }
+
+    this.failedLogins.delete(ip);
+    return { ...this.createSession(user), user: this.publicUser(user) };
+  }
+}
+
+// Envío de correo con transportes intercambiables (MAIL_TRANSPORT). `console` muestra
+// los mensajes en la terminal y `file` los guarda como .eml en MAIL_DIR, útil sin conexión.
+// Un despliegue puede añadir el suyo: Mailer.register('smtp', async message => { ... })
+class Mailer {
+  static transports = {
+    console: async message => {
+      console.log(`📧 Para: ${message.to}\n   Asunto: ${message.subject}\n\n${message.text}\n`);
+    },
+    file: async message => {
+      fs.mkdirSync(MAIL_DIR, { recursive: true });
+      const file = path.join(MAIL_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      fs.writeFileSync(file, [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\n'));
+      console.log(`📧 Correo para ${message.to} guardado en ${file}`);
+    }
+  };
+
+  static register(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  static async send(message) {
+    const transport = this.transports[MAIL_TRANSPORT];
+    if (!transport) {
+      throw new Error(`Transporte de correo desconocido: ${MAIL_TRANSPORT}`);
+    }
+    await transport({ from: MAIL_FROM, ...message });
+  }
+}
+
+// Fotos de las piezas: el cliente las envía como data URL dentro de `pieza.fotos`
+// (así viajan también por la cola offline) y aquí se guardan como archivos en PHOTO_DIR.
+// En los datos solo queda `{ id, url, nombre, fecha }` con url /api/fotos/<archivo>.
+class PhotoStore {
+  static detectType(content) {
+    return Object.keys(PHOTO_SIGNATURES).find(type => PHOTO_SIGNATURES[type].every(([offset, hex]) =>
+      content.subarray(offset, offset + hex.length / 2).toString('hex') === hex
+    ));
+  }
+
+  // Valida las fotos de una pieza y sustituye las nuevas por la URL de su archivo definitivo.
+  // No escribe nada: devuelve los archivos pendientes para guardarlos con `write()` solo cuando
+  // el registro ha superado las comprobaciones de DataStore.
+  static prepare(pieza, existing = null) {
+    if (pieza.fotos === undefined) return [];
+    if (!Array.isArray(pieza.fotos)) {
+      throw new HttpError(400, 'El campo fotos debe ser una lista');
+    }
+    if (pieza.fotos.length > MAX_FOTOS_POR_PIEZA) {
+      throw new HttpError(400, `Una pieza admite como máximo ${MAX_FOTOS_POR_PIEZA} fotos`);
+    }
+
+    const guardadas = new Map(((existing && existing.fotos) || []).map(foto => [foto.id, foto]));
+    const pendientes = [];
+
+    pieza.fotos = pieza.fotos.map(foto => {
+      if (!foto || !foto.id || typeof foto.url !== 'string') {
+        throw new HttpError(400, 'Cada foto debe incluir id y url');
+      }
+
+      // Un reenvío desde la cola offline repite la data URL de una foto ya guardada
+      if (guardadas.has(foto.id)) {
+        return guardadas.get(foto.id);
+      }
+
+      const [, base64] = foto.url.match(/^data:[^;]*;base64,(.+)$/) || [];
+      if (!base64) {
+        throw new HttpError(400, 'Las fotos nuevas deben enviarse como data URL');
+      }
+      const content = Buffer.from(base64, 'base64');
+      const type = this.detectType(content);
+      if (!type) {
+        throw new HttpError(400, 'Formato de foto no admitido (JPEG, PNG o WebP)');
+      }
+
+      const file = `${crypto.randomBytes(12).toString('hex')}.${PHOTO_TYPES[type]}`;
+      pendientes.push({ file, content });
+
+      return {
+        id: foto.id,
+        url: `/api/fotos/${file}`,
+        nombre: foto.nombre || '',
+        fecha: foto.fecha || new Date().toISOString()
+      };
+    });
+
+    return pendientes;
+  }
+
+  static write(pendientes) {
+    if (pendientes.length === 0) return;
+    fs.mkdirSync(PHOTO_DIR, { recursive: true });
+    try {
+      pendientes.forEach(({ file, content }) => fs.writeFileSync(path.join(PHOTO_DIR, file), content));
+    } catch (error) {
+      this.discard(pendientes);
+      throw error;
+    }
+  }
+
+  // Borra los archivos de una escritura que no llegó a guardarse
+  static discard(pendientes) {
+    pendientes.forEach(({ file }) => fs.rmSync(path.join(PHOTO_DIR, file), { force: true }));
+  }
+
+  // Elimina los archivos que ya no pertenecen a ninguna pieza
+  static prune() {
+    if (!fs.existsSync(PHOTO_DIR)) return;
+
+    const enUso = new Set();
+    DataStore.data.piezas.forEach(pieza => {
+      (pieza.fotos || []).forEach(foto => enUso.add(path.basename(foto.url)));
+    });
+
+    fs.readdirSync(PHOTO_DIR)
+      .filter(file => PHOTO_FILE.test(file) && !enUso.has(file))
+      .forEach(file => fs.unlinkSync(path.join(PHOTO_DIR, file)));
+  }
+
+  static serve(req, res, file) {
+    if (!PHOTO_FILE.test(file)) {
+      throw new HttpError(404, 'Foto no encontrada');
+    }
+
+    fs.readFile(path.join(PHOTO_DIR, file), (error, content) => {
+      if (error) {
+        sendJSON(res, 404, { error: 'Foto no encontrada' });
+        return;
+      }
+      const type = Object.keys(PHOTO_TYPES).find(t => file.endsWith(`.${PHOTO_TYPES[t]}`));
+      // El nombre del archivo es aleatorio y nunca se reutiliza
+      res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'public, max-age=31536000, immutable' });
+      res.end(req.method === 'HEAD' ? undefined : content);
+    });
+  }
+}
+
+// Voto del público (`votacion` del evento: `{ abierta, requiereTicket }`). Sin sesión: si se exige,
+// cada voto consume un código de entrada de un solo uso; si no, se admite un voto por dispositivo y
+// evento. Los códigos se guardan cifrados fuera de los datos públicos y solo se muestran al generarlos.
+class Voting {
+  static attempts = new Map();
+
+  static hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  static normalizeTicket(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Limita los votos por dirección IP del cliente (ver `clientIp`) en una ventana deslizante
+  static checkRateLimit(ip) {
+    const now = Date.now();
+    const attempts = (this.attempts.get(ip) || []).filter(t => now - t < VOTE_WINDOW);
+    if (attempts.length >= VOTE_RATE_LIMIT) {
+      this.attempts.set(ip, attempts);
+      throw new HttpError(429, 'Demasiados votos desde esta conexión. Espera un momento.');
+    }
+    this.attempts.set(ip, [...attempts, now]);
+  }
+
+  // El registro del voto lo construye el servidor: del cliente solo se toman pieza, dispositivo y código
+  static prepare(body, ip) {
+    this.checkRateLimit(ip);
+
+    const evento = DataStore.data.eventos.find(e => e.id === body.eventoId);
+    const votacion = (evento && evento.votacion) || {};
+    if (!votacion.abierta) {
+      throw new HttpError(403, 'La votación del público está cerrada');
+    }
+
+    const pieza = DataStore.data.piezas.find(p => p.id === body.piezaId && p.eventoId === evento.id);
+    if (!pieza) {
+      throw new HttpError(400, 'La pieza indicada no existe en este evento');
+    }
+
+    // El identificador del dispositivo lo genera el navegador y basta borrarlo para obtener otro:
+    // es solo una pista. Con código de entrada el límite de un voto por persona lo pone el código
+    // y el dispositivo no impide votar; sin código frena un segundo voto del mismo navegador.
+    const dispositivo = body.dispositivo && typeof body.dispositivo === 'string'
+      ? this.hash(`${evento.id}:${body.dispositivo}`)
+      : null;
+
+    const id = crypto.randomUUID();
+    if (votacion.requiereTicket) {
+      const codigo = this.normalizeTicket(body.ticket);
+      if (!codigo) {
+        throw new HttpError(403, 'Se necesita el código de una entrada para votar');
+      }
+      const hash = this.hash(codigo);
+      const ticket = DataStore.data.tickets.find(t => t.eventoId === evento.id && t.hash === hash);
+      if (!ticket) {
+        throw new HttpError(403, 'El código de entrada no es válido');
+      }
+      if (ticket.votoId) {
+        throw new HttpError(409, 'Este código de entrada ya se ha usado');
+      }
+      ticket.votoId = id;
+    } else {
+      if (!dispositivo) {
+        throw new HttpError(400, 'Falta el identificador del dispositivo');
+      }
+      if (DataStore.data.votos.some(v => v.eventoId === evento.id && v.dispositivo === dispositivo)) {
+        throw new HttpError(409, 'Ya se ha votado desde este dispositivo');
+      }
+    }
+
+    return {
+      id,
+      eventoId: evento.id,
+      piezaId: pieza.id,
+      tatuadorId: pieza.tatuadorId,
+      dispositivo,
+      fecha: new Date().toISOString()
+    };
+  }
+
+  static summary(eventoId) {
+    const tickets = DataStore.data.tickets.filter(t => t.eventoId === eventoId);
+    return { total: tickets.length, usados: tickets.filter(t => t.votoId).length };
+  }
+
+  // Devuelve los códigos en claro una única vez
+  static generateTickets({ eventoId, cantidad }) {
+    if (!DataStore.data.eventos.some(e => e.id === eventoId)) {
+      throw new HttpError(404, 'Evento no encontrado');
+    }
+    if (!Number.isInteger(cantidad) || cantidad < 1 || cantidad > 1000) {
+      throw new HttpError(400, 'Indica entre 1 y 1000 códigos');
+    }
+
+    // Sin caracteres que se confundan al leerlos impresos (0/O, 1/I)
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const existentes = new Set(DataStore.data.tickets.map(t => t.hash));
+    const codigos = [];
+    while (codigos.length < cantidad) {
+      const codigo = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+      const hash = this.hash(codigo);
+      if (existentes.has(hash)) continue;
+      existentes.add(hash);
+      codigos.push(codigo);
+      DataStore.data.tickets.push({ eventoId, hash, votoId: null, fecha: new Date().toISOString() });
+    }
+    DataStore.touch();
+
+    return { codigos, ...this.summary(eventoId) };
+  }
+}
+
+// Canal de eventos en tiempo real (Server-Sent Events)
+// Cada cliente queda asociado a la huella del token con el que se suscribió (`?token=`,
+// EventSource no envía cabeceras); la sesión se comprueba de nuevo en cada emisión.
+class EventHub {
+  static clients = new Map();
+  static heartbeat = null;
+
+  static subscribe(req, res) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    this.clients.set(res, token ? Auth.hashToken(token) : null);
+    req.on('close', () => this.clients.delete(res));
+
+    // Comentarios periódicos para que proxies y navegadores no cierren la conexión
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        [...this.clients.keys()].forEach(client => client.write(': ping\n\n'));
+      }, HEARTBEAT_INTERVAL);
+      this.heartbeat.unref();
+    }
+  }
+
+  static broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    const embargada = data.collection === 'evaluaciones' && data.record;
+
+    this.clients.forEach((tokenHash, client) => {
+      if (embargada) {
+        const current = tokenHash && Auth.sessionFromHash(tokenHash);
+        if (!DataStore.evaluacionVisible(data.record, current ? current.user : null)) return;
+      }
+      client.write(message);
+    });
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Cada proxy de confianza añade al final de X-Forwarded-For la dirección que ve; las entradas
+// anteriores a esas las escribe el cliente y no se usan
+function clientIp(req) {
+  const direcciones = [
+    ...String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean),
+    req.socket.remoteAddress
+  ];
+  return direcciones[Math.max(0, direcciones.length - 1 - TRUST_PROXY)];
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Payload demasiado grande'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'JSON inválido'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+async function handleAPI(req, res, pathname) {
+  if (pathname === '/api/health' && req.method === 'GET') {
+    sendJSON(res, 200, {
+      status: 'ok',
+      region: REGION,
+      deployment: DEPLOYMENT,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  if (/^\/api\/(auth|credentials|users|roles)(\/|$)/.test(pathname)) {
+    await handleAuthAPI(req, res, pathname);
+    return;
+  }
+
+  if (pathname === '/api/data') {
+    if (req.method === 'GET') {
+      const current = Auth.getSession(req);
+      sendJSON(res, 200, DataStore.publicData(current && current.user));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      Auth.requireSession(req, 'datos.reemplazar');
+      const payload = await readBody(req);
+      const saved = DataStore.replace(payload);
+      Auth.pruneJuradoAccounts();
+      sendJSON(res, 200, { success: true, lastUpdate: saved.lastUpdate });
+      EventHub.broadcast('change', { action: 'replace' });
+      return;
+    }
+
+    throw new HttpError(405, 'Método no permitido');
+  }
+
+  if (pathname === '/api/events' && req.method === 'GET') {
+    EventHub.subscribe(req, res);
+    return;
+  }
+
+  if (pathname === '/api/votacion/tickets') {
+    Auth.requireSession(req, 'eventos.gestionar');
+    if (req.method === 'GET') {
+      const { searchParams } = new URL(req.url, 'http://localhost');
+      sendJSON(res, 200, Voting.summary(searchParams.get('eventoId')));
+      return;
+    }
+    if (req.method === 'POST') {
+      sendJSON(res, 201, Voting.generateTickets(await readBody(req)));
+      return;
+    }
+    throw new HttpError(405, 'Método no permitido');
+  }
+
+  const [, foto] = pathname.match(/^\/api\/fotos\/([^/]+)$/) || [];
+  if (foto && ['GET', 'HEAD'].includes(req.method)) {
+    PhotoStore.serve(req, res, foto);
+    return;
+  }
+
+  // Recursos individuales: /api/<coleccion> y /api/<coleccion>/<id>
+  const [, collection, rawId] = pathname.slice('/api/'.length).match(/^([^/]+)(?:\/([^/]+))?$/) || [];
+  if (COLLECTIONS.includes(collection)) {
+    const id = rawId ? decodeURIComponent(rawId) : null;
+
+    const permission = WRITE_PERMISSIONS[req.method] && WRITE_PERMISSIONS[req.method][collection];
+    const publicWrite = (PUBLIC_WRITES[req.method] || []).includes(collection);
+    if (req.method !== 'GET' && !permission && !publicWrite) {
+      throw new HttpError(405, 'Método no permitido');
+    }
+    const fieldPermissions = req.method === 'PUT' && FIELD_PERMISSIONS[collection];
+    // El cliente identifica cada cambio de su cola (`X-Queue-Id`) para reconocer su propio eco en /api/events
+    const queueId = /^[a-z0-9]{1,64}$/i.test(req.headers['x-queue-id'] || '') ? req.headers['x-queue-id'] : undefined;
+    const current = permission ? Auth.requireSession(req, fieldPermissions ? null : permission) : null;
+
+    // Cada registro pertenece a un evento editable; las evaluaciones llevan además
+    // la identidad del jurado autenticado. Las fotos nuevas de una pieza quedan en `fotos`
+    // hasta que el registro se guarda (`store`), y se borran si la escritura falla.
+    let fotos = [];
+    const store = write => {
+      try {
+        return write(() => PhotoStore.write(fotos));
+      } catch (error) {
+        PhotoStore.discard(fotos);
+        throw error;
+      }
+    };
+    const readRecord = async (existing = null) => {
+      const body = DataStore.scopeToEvento(collection, await readBody(req), existing);
+      if (fieldPermissions) {
+        Auth.authorizeFields(current.user, body, existing, permission, fieldPermissions);
+      }
+      if (collection === 'eventos' && existing) {
+        DataStore.guardReglas(existing, body);
+        DataStore.guardPublicacion({ ...existing, ...body });
+        Auth.authorizePublicacion(current.user, body, existing);
+      }
+      if (collection === 'evaluaciones') {
+        Auth.authorizeEvaluador(current.user, body, existing);
+        if (existing) {
+          DataStore.guardIdentidadEvaluacion(body, existing);
+        } else {
+          DataStore.guardEvaluacionDuplicada(body);
+        }
+        DataStore.guardEstadoCategoria(body, existing);
+        DataStore.guardAsignacion({ ...existing, ...body });
+        DataStore.guardConflicto({ ...existing, ...body });
+      }
+      if (collection === 'piezas') {
+        fotos = PhotoStore.prepare(body, existing);
+      }
+      if (collection === 'votos') {
+        return Voting.prepare(body, clientIp(req));
+      }
+      return collection === 'evaluaciones' ? Auth.authorizeEvaluation(current.user, body, existing) : body;
+    };
+
+    // Las evaluaciones bajo embargo no se leen sin permiso, igual que en /api/data
+    const viewer = req.method === 'GET' && collection === 'evaluaciones' ? (Auth.getSession(req) || {}).user : null;
+    const visible = record => collection !== 'evaluaciones' || DataStore.evaluacionVisible(record, viewer);
+
+    if (!id && req.method === 'GET') {
+      sendJSON(res, 200, DataStore.data[collection].filter(visible).map(r => DataStore.publicRecord(collection, r)));
+      return;
+    }
+
+    if (!id && req.method === 'POST') {
+      const body = await readRecord();
+      const record = DataStore.publicRecord(collection, store(beforeSave => DataStore.createRecord(collection, body, beforeSave)));
+      sendJSON(res, 201, record);
+      EventHub.broadcast('change', { action: 'create', collection, record, queueId });
+      return;
+    }
+
+    if (id && req.method === 'GET') {
+      const record = DataStore.data[collection].find(r => r.id === id);
+      if (!record || !visible(record)) {
+        throw new HttpError(404, 'Registro no encontrado');
+      }
+      sendJSON(res, 200, DataStore.publicRecord(collection, record));
+      return;
+    }
+
+    if (id && req.method === 'PUT') {
+      const existing = DataStore.data[collection].find(r => r.id === id);
+      const body = await readRecord(existing);
+      const record = DataStore.publicRecord(collection, store(beforeSave => DataStore.updateRecord(collection, id, body, beforeSave)));
+      if (collection === 'piezas') {
+        PhotoStore.prune();
+      }
+      sendJSON(res, 200, record);
+      EventHub.broadcast('change', { action: 'update', collection, record, queueId });
+      return;
+    }
+
+    if (id && req.method === 'DELETE') {
+      const existing = DataStore.data[collection].find(r => r.id === id);
+      if (existing) {
+        DataStore.scopeToEvento(collection, existing, existing);
+      }
+      DataStore.deleteRecord(collection, id);
+      if (collection === 'jurados') {
+        Auth.pruneJuradoAccounts();
+      }
+      if (collection === 'tatuadores' || collection === 'piezas') {
+        PhotoStore.prune();
+      }
+      sendJSON(res, 200, { success: true, id });
+      EventHub.broadcast('change', { action: 'delete', collection, id, queueId });
+      return;
+    }
+
+    throw new HttpError(405, 'Método no permitido');
+  }
+
+  throw new HttpError(404, 'Ruta no encontrada');
+}
+
+async function handleAuthAPI(req, res, pathname) {
+  if (pathname === '/api/auth/login' && req.method === 'POST') {
+    const body = await readBody(req);
+    sendJSON(res, 200, Auth.login(body, clientIp(req)));
+    return;
+  }
+
+  // Recuperación de contraseña: siempre responde igual para no revelar qué emails existen
+  if (pathname === '/api/auth/recover' && req.method === 'POST') {
+    // El enlace nunca se construye con la cabecera Host: un Host falsificado enviaría el token a otro dominio
+    if (!PUBLIC_URL) {
+      throw new HttpError(503, 'La recuperación de contraseña no está disponible: falta configurar PUBLIC_URL');
+    }
+    const body = await readBody(req);
+    await Auth.requestPasswordReset(body, clientIp(req), PUBLIC_URL.replace(/\/$/, ''));
+    sendJSON(res, 200, { success: true });
+    return;
+  }
+
+  if (pathname === '/api/auth/reset' && req.method === 'POST') {
+    const body = await readBody(req);
+    sendJSON(res, 200, { success: true, ...Auth.resetPassword(body) });
+    return;
+  }
+
+  if (pathname === '/api/auth/logout' && req.method === 'POST') {
+    const current = Auth.getSession(req);
+    if (current) {
+      DataStore.data.sessions = DataStore.data.sessions.filter(s => s !== current.session);
+      DataStore.save();
+    }
+    sendJSON(res, 200, { success: true });
+    return;
+  }
+
+  if (pathname === '/api/auth/session' && req.method === 'GET') {
+    const { session, user } = Auth.requireSession(req);
+    sendJSON(res, 200, { expiresAt: session.expiresAt, user: Auth.publicUser(user) });
+    return;
+  }
+
+  // Cambio de contraseña del usuario autenticado
+  if (pathname === '/api/auth/password' && req.method === 'POST') {
+    const { session, user } = Auth.requireSession(req);
+    const { newPassword } = await readBody(req);
+
+    if (!newPassword || newPassword.length < 8) {
+      throw new HttpError(400, 'La contraseña debe tener al menos 8 caracteres.');
+    }
+
+    Auth.setPassword(user, newPassword);
+    // Cerrar el resto de sesiones abiertas con la contraseña anterior
+    DataStore.data.sessions = DataStore.data.sessions.filter(s => s.userId !== user.id || s === session);
+    DataStore.save();
+    sendJSON(res, 200, { success: true });
+    return;
+  }
+
+  // Roles disponibles y sus permisos
+  if (pathname === '/api/roles' && req.method === 'GET') {
+    Auth.requireSession(req);
+    sendJSON(res, 200, { roles: ROLES, permissions: PERMISSIONS });
+    return;
+  }
+
+  // Cuentas de usuario y asignación de roles
+  const usersMatch = pathname.match(/^\/api\/users(?:\/([^/]+))?$/);
+  if (usersMatch) {
+    const userId = usersMatch[1];
+    const { session, user: currentUser } = Auth.requireSession(req, 'usuarios.gestionar');
+
+    if (!userId && req.method === 'GET') {
+      sendJSON(res, 200, DataStore.data.users.map(u => Auth.publicUser(u)));
+      return;
+    }
+
+    if (!userId && req.method === 'POST') {
+      sendJSON(res, 201, Auth.createAccount(await readBody(req)));
+      return;
+    }
+
+    const user = DataStore.data.users.find(u => u.id === decodeURIComponent(userId || ''));
+    if (!user) {
+      throw new HttpError(404, 'Cuenta no encontrada');
+    }
+
+    if (req.method === 'PUT') {
+      const { roles } = await readBody(req);
+      sendJSON(res, 200, Auth.updateRoles(user, roles, session));
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      Auth.deleteAccount(user, currentUser);
+      sendJSON(res, 200, { success: true, id: user.id });
+      return;
+    }
+
+    throw new HttpError(405, 'Método no permitido');
+  }
+
+  // Credenciales individuales de jurado: las emite el personal de registro
+  const [, juradoId] = pathname.match(/^\/api\/credentials\/jurados\/([^/]+)$/) || [];
+  if (juradoId) {
+    Auth.requireSession(req, 'registro.jurados');
+    const jurado = DataStore.data.jurados.find(j => j.id === decodeURIComponent(juradoId));
+    if (!jurado) {
+      throw new HttpError(404, 'Jurado no encontrado');
+    }
+
+    if (req.method === 'GET') {
+      const user = DataStore.data.users.find(u => u.juradoId === jurado.id);
+      if (!user) {
+        throw new HttpError(404, 'El jurado aún no tiene credenciales');
+      }
+      sendJSON(res, 200, { username: user.username, email: user.email });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      sendJSON(res, 200, Auth.issueJuradoCredentials(jurado));
+      return;
+    }
+
+    throw new HttpError(405, 'Método no permitido');
+  }
+
+  // Gestión de credenciales de módulos (solo administración)
+  const [, section, action] = pathname.match(/^\/api\/credentials\/([^/]+)(?:\/([^/]+))?$/) || [];
+  if (section) {
+    Auth.requireSession(req, 'usuarios.gestionar');
+    const user = SHARED_ACCOUNTS[section] ? Auth.findSharedAccount(section) : null;
+    if (!user) {
+      throw new HttpError(404, 'Sección no configurada');
+    }
+
+    if (!action && req.method === 'GET') {
+      sendJSON(res, 200, { username: user.username, email: user.email });
+      return;
+    }
+
+    if (action === 'regenerate' && req.method === 'POST') {
+      if (section === 'administracion') {
+        throw new HttpError(400, 'No se pueden regenerar las credenciales de administrador desde esta función.');
+      }
+
+      const credentials = { username: Auth.generateUsername(section), password: Auth.generatePassword() };
+      user.username = credentials.username;
+      Auth.setPassword(user, credentials.password);
+      Auth.revokeSessions(user.id);
+      DataStore.save();
+
+      // La contraseña en claro solo se devuelve en esta respuesta
+      sendJSON(res, 200, credentials);
+      return;
+    }
+  }
+
+  throw new HttpError(404, 'Ruta no encontrada');
+}
+
+function serveStatic(req, res, pathname) {
+  const entry = STATIC_FILES[pathname];
+
+  if (!entry || !['GET', 'HEAD'].includes(req.method)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not Found');
+    return;
+  }
+
+  fs.readFile(path.join(__dirname, entry.file), (error, content) => {
+    if (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Error interno');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': entry.type });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (!pathname.startsWith('/api/')) {
+    serveStatic(req, res, pathname);
+    return;
+  }
+
+  try {
+    await handleAPI(req, res, pathname);
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error('Error en API:', error);
+    }
+    sendJSON(res, status, {
+      error: status === 500 ? 'Error interno del servidor' : error.message,
+      ...(error.details || {})
+    });
+  }
+});
+
+function start() {
+  DataStore.load();
+  Auth.seedUsers();
+  server.listen(PORT, HOST, () => {
+    console.log(`🚀 World Tattoo Rating Platform en http://${HOST}:${PORT}`);
+    console.log(`🌐 Región: ${REGION} - Despliegue: ${DEPLOYMENT}`);
+    if (!PUBLIC_URL) {
+      console.warn('⚠️ PUBLIC_URL no está configurada: la recuperación de contraseña por correo está desactivada');
+    }
+  });
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { server, start, DataStore, Auth, Mailer };